@@ -0,0 +1,148 @@
+/**
+ * SnapEngine benchmark - snap queries against thousands of parcels
+ *
+ * Compares the indexed SnapEngine against a full scan that rebuilds and projects every
+ * edge on every query, which is what SnapEngine did before targets were cached and indexed.
+ *
+ * Usage: npm run bench [-- <parcels> <queries>]
+ */
+import { performance } from 'node:perf_hooks'
+import { SnapEngine } from '../src/snapping/SnapEngine.js'
+import { latLngToWorld, worldToLatLng } from '../src/utils/geometry.js'
+
+const PARCELS = Number(process.argv[2]) || 5000
+const QUERIES = Number(process.argv[3]) || 500
+const ZOOM = 17
+const THRESHOLD = 15
+
+// ==================== MINIMAL GOOGLE MAPS STUBS ====================
+
+class LatLng {
+  constructor(lat, lng) { this._lat = lat; this._lng = lng }
+  lat() { return this._lat }
+  lng() { return this._lng }
+}
+
+class Point {
+  constructor(x, y) { this.x = x; this.y = y }
+}
+
+class Overlay {
+  setMap() {}
+  setPosition() {}
+  setVisible() {}
+  setIcon() {}
+  setPath() {}
+}
+
+globalThis.google = {
+  maps: {
+    LatLng,
+    Point,
+    Marker: Overlay,
+    Polyline: Overlay,
+    event: { removeListener() {} }
+  }
+}
+
+const projection = {
+  fromLatLngToPoint: (latLng) => {
+    const world = latLngToWorld({ lat: latLng.lat(), lng: latLng.lng() })
+    return new Point(world.x, world.y)
+  },
+  fromPointToLatLng: (point) => {
+    const { lat, lng } = worldToLatLng(point)
+    return new LatLng(lat, lng)
+  }
+}
+
+const map = {
+  getProjection: () => projection,
+  getZoom: () => ZOOM,
+  getCenter: () => new LatLng(52.52, 13.4),
+  addListener: () => ({})
+}
+
+// ==================== FIXTURE ====================
+
+// A square block of 30 m parcels with 10 m gaps, each a 4-vertex polygon
+const side = Math.ceil(Math.sqrt(PARCELS))
+const step = 0.0004
+const parcels = []
+for (let i = 0; i < PARCELS; i++) {
+  const lat = 52.5 + Math.floor(i / side) * step
+  const lng = 13.4 + (i % side) * step * 1.6
+  const ring = [[0, 0], [0.00027, 0], [0.00027, 0.00044], [0, 0.00044]].map(([dLat, dLng]) => new LatLng(lat + dLat, lng + dLng))
+  parcels.push({ id: `parcel_${i}`, obj: { getPaths: () => ({ getArray: () => [{ getArray: () => ring }] }) } })
+}
+
+// Cursor positions near parcel corners and edges, spread over the block
+const queries = []
+for (let i = 0; i < QUERIES; i++) {
+  const ring = parcels[(i * 7919) % PARCELS].obj.getPaths().getArray()[0].getArray()
+  queries.push({ lat: ring[0].lat() + 0.00001 * (i % 5), lng: ring[0].lng() + 0.00013 })
+}
+
+// ==================== FULL SCAN BASELINE ====================
+
+function fullScan(point) {
+  const scale = Math.pow(2, ZOOM)
+  const toPixel = (latLng) => {
+    const world = projection.fromLatLngToPoint(new LatLng(latLng.lat, latLng.lng))
+    return { x: world.x * scale, y: world.y * scale }
+  }
+  const engine = new SnapEngine({ map })
+
+  const edges = []
+  for (const { id, obj } of parcels) {
+    const path = obj.getPaths().getArray()[0].getArray()
+    for (let i = 0; i < path.length; i++) {
+      const j = (i + 1) % path.length
+      edges.push({ start: { lat: path[i].lat(), lng: path[i].lng() }, end: { lat: path[j].lat(), lng: path[j].lng() }, shapeId: id })
+    }
+  }
+
+  const pointPixel = toPixel(point)
+  let best = null
+  for (const edge of edges) {
+    const projected = engine._projectPointToSegment(pointPixel, toPixel(edge.start), toPixel(edge.end))
+    if (projected.distance < (best ? best.distance : THRESHOLD)) best = { ...projected, edge }
+  }
+  return best
+}
+
+// ==================== RUN ====================
+
+function measure(label, fn) {
+  fn(queries[0]) // Warm up
+  const start = performance.now()
+  let hits = 0
+  for (const query of queries) {
+    if (fn(query)) hits++
+  }
+  const perQuery = (performance.now() - start) / queries.length
+  console.log(`${label.padEnd(28)} ${perQuery.toFixed(3).padStart(9)} ms/query  (${hits}/${queries.length} snapped)`)
+  return perQuery
+}
+
+const engine = new SnapEngine({ map, threshold: THRESHOLD })
+parcels.forEach(({ id, obj }) => engine.addShape(id, 'polygon', obj))
+
+console.log(`${PARCELS} parcels, ${PARCELS * 4} edges, ${QUERIES} queries at zoom ${ZOOM}\n`)
+
+const buildStart = performance.now()
+engine._syncIndex()
+console.log(`${'Index build'.padEnd(28)} ${(performance.now() - buildStart).toFixed(1).padStart(9)} ms`)
+
+const scan = measure('Full scan (previous)', fullScan)
+const indexed = measure('Indexed SnapEngine', (point) => engine.findSnapPoint(point))
+
+// Edit one parcel between queries, as while editing on a loaded map
+let edited = 0
+const incremental = measure('Indexed, editing a parcel', (point) => {
+  const { id, obj } = parcels[edited++ % PARCELS]
+  engine.addShape(id, 'polygon', obj)
+  return engine.findSnapPoint(point)
+})
+
+console.log(`\nSpeedup: ${(scan / indexed).toFixed(0)}x (${(scan / incremental).toFixed(0)}x with edits)`)
@@ -1,5 +1,6 @@
 import { ref, watch, onUnmounted, toValue, computed } from 'vue'
 import { DrawingManager } from '../core/DrawingManager.js'
+import { SyncSession } from '../sync/SyncSession.js'
 
 /**
  * Vue 3 composable for Google Maps drawing with snapping
@@ -11,6 +12,7 @@ import { DrawingManager } from '../core/DrawingManager.js'
  */
 export function useMapDrawing(mapRef, options = {}) {
   let manager = null
+  let session = null
 
   // Reactive state - automatically synced with DrawingManager
   const shapes = ref([])
@@ -18,10 +20,16 @@ export function useMapDrawing(mapRef, options = {}) {
   const isDrawing = ref(false)
   const drawingType = ref(null)
   const pointCount = ref(0)
+  const drawingInteraction = ref(null)
+  const measurement = ref(null)
   const canUndo = ref(false)
   const canRedo = ref(false)
+  const undoLabel = ref(null)
+  const redoLabel = ref(null)
+  const historyEntries = ref([])
   const snapActive = ref(false)
   const snappingEnabled = ref(options.snapping?.enabled !== false)
+  const peers = ref([])
 
   // Event callbacks
   const _callbacks = {}
@@ -31,13 +39,21 @@ export function useMapDrawing(mapRef, options = {}) {
     switch (drawingType.value) {
       case 'polygon': return 'Click to add points, double-click or Enter to complete'
       case 'polyline': return 'Click to add points, double-click or Enter to complete'
-      case 'circle': return 'Click center, then click to set radius'
-      case 'rectangle': return 'Click first corner, then click opposite corner'
+      case 'circle': return drawingInteraction.value === 'drag'
+        ? 'Press at the center and drag to set radius'
+        : 'Click center, then click to set radius'
+      case 'rectangle': return drawingInteraction.value === 'drag'
+        ? 'Press at a corner and drag to the opposite corner'
+        : 'Click first corner, then click opposite corner'
+      case 'freehand': return 'Press and drag to sketch, release to finish'
+      case 'marker': return 'Click to place the marker'
+      case 'hole': return 'Click to add hole points inside the polygon, double-click or Enter to complete'
       default: return ''
     }
   })
 
   function init(map) {
+    session?.destroy()
     if (manager) manager.destroy()
 
     manager = new DrawingManager(map, options)
@@ -49,20 +65,31 @@ export function useMapDrawing(mapRef, options = {}) {
     manager.on('shape:selected', (d) => { activeShape.value = d.shape })
     manager.on('shape:deselected', () => { activeShape.value = null })
     manager.on('shapes:cleared', () => { shapes.value = []; activeShape.value = null })
-    manager.on('drawing:start', (d) => { isDrawing.value = true; drawingType.value = d.type; pointCount.value = 0 })
-    manager.on('drawing:update', (d) => { pointCount.value = d.count })
-    manager.on('drawing:cancel', () => { isDrawing.value = false; drawingType.value = null; pointCount.value = 0; snapActive.value = false })
-    manager.on('drawing:complete', () => { isDrawing.value = false; drawingType.value = null; pointCount.value = 0; snapActive.value = false })
-    manager.on('history:change', (s) => { canUndo.value = s.canUndo; canRedo.value = s.canRedo })
+    manager.on('drawing:start', (d) => { isDrawing.value = true; drawingType.value = d.type; drawingInteraction.value = d.interaction; pointCount.value = 0; measurement.value = null })
+    manager.on('drawing:update', (d) => { pointCount.value = d.count; measurement.value = d.measurement || null })
+    manager.on('drawing:cancel', () => { isDrawing.value = false; drawingType.value = null; drawingInteraction.value = null; pointCount.value = 0; measurement.value = null; snapActive.value = false })
+    manager.on('drawing:complete', () => { isDrawing.value = false; drawingType.value = null; drawingInteraction.value = null; pointCount.value = 0; measurement.value = null; snapActive.value = false })
+    manager.on('history:change', (s) => { canUndo.value = s.canUndo; canRedo.value = s.canRedo; undoLabel.value = s.undoLabel; redoLabel.value = s.redoLabel; historyEntries.value = s.entries })
     manager.on('snap:active', (d) => { snapActive.value = d.active })
     manager.on('snap:detected', (d) => { _callbacks.onSnapDetected?.(d) })
+    manager.on('history:operations', (d) => { _callbacks.onOperations?.(d) })
+
+    // Collaborative editing, see SyncSession
+    if (options.sync) {
+      session = new SyncSession(manager, options.sync)
+      const updatePeers = () => { peers.value = session.getPeers() }
+      session.on('peer:join', updatePeers)
+      session.on('peer:update', updatePeers)
+      session.on('peer:leave', updatePeers)
+      updatePeers()
+    }
   }
 
   // Watch for map changes
   watch(() => toValue(mapRef), (map) => { if (map) init(map) }, { immediate: true })
 
   // Cleanup
-  onUnmounted(() => { manager?.destroy(); manager = null })
+  onUnmounted(() => { session?.destroy(); session = null; manager?.destroy(); manager = null })
 
   // ==================== API ====================
 
@@ -74,15 +101,22 @@ export function useMapDrawing(mapRef, options = {}) {
     drawingType,
     drawingHint,
     pointCount,
+    measurement,
     canUndo,
     canRedo,
+    undoLabel,
+    redoLabel,
+    historyEntries,
     snapActive,
     snappingEnabled,
+    peers,
 
     // Drawing
-    startDrawing: (type) => manager?.startDrawing(type),
+    startDrawing: (type, opts) => manager?.startDrawing(type, opts),
     stopDrawing: () => manager?.stopDrawing(),
     completeDrawing: () => manager?.completeDrawing(),
+    removeLastPoint: () => manager?.removeLastPoint(),
+    resumeDrawing: (id, from) => manager?.resumeDrawing(id, from),
 
     // Shapes
     deleteShape: (id) => manager?.deleteShape(id),
@@ -92,20 +126,46 @@ export function useMapDrawing(mapRef, options = {}) {
     deselectShape: () => manager?.deselectShape(),
     getShapeById: (id) => manager?.getShapeById(id),
     updateShapeName: (id, name) => manager?.updateShapeName(id, name),
+    setShapeStyle: (id, style) => manager?.setShapeStyle(id, style),
+    moveVertex: (id, index, latLng, ring) => manager?.moveVertex(id, index, latLng, ring),
+    insertVertex: (id, index, latLng, ring) => manager?.insertVertex(id, index, latLng, ring),
+    removeVertex: (id, index, ring) => manager?.removeVertex(id, index, ring),
+    setShapeGeometry: (id, geometry) => manager?.setShapeGeometry(id, geometry),
+    setMarkerIcon: (id, icon) => manager?.setMarkerIcon(id, icon),
+    addHole: (id, path) => manager?.addHole(id, path),
+    removeHole: (id, index) => manager?.removeHole(id, index),
+    toGeoJSON: () => manager?.toGeoJSON(),
 
     // History
     undo: () => manager?.undo(),
     redo: () => manager?.redo(),
+    goToHistory: (index) => manager?.goToHistory(index),
+    exportHistory: () => manager?.exportHistory(),
+    importHistory: (log) => manager?.importHistory(log),
+    applyOperations: (operations, opts) => manager?.applyOperations(operations, opts),
+    beginBatch: (label) => manager?.beginBatch(label),
+    endBatch: () => manager?.endBatch(),
+    transaction: (label, fn) => manager?.transaction(label, fn),
 
     // Snapping
     setSnapping: (opts) => { manager?.setSnapping(opts); if (opts.enabled !== undefined) snappingEnabled.value = opts.enabled },
     toggleSnapping: () => { const v = !snappingEnabled.value; manager?.setSnapping({ enabled: v }); snappingEnabled.value = v },
+    setShapeSnappable: (id, snappable) => manager?.setShapeSnappable(id, snappable),
+    addReferenceLayer: (id, source, opts) => manager?.addReferenceLayer(id, source, opts),
+    removeReferenceLayer: (id) => manager?.removeReferenceLayer(id),
+    getReferenceLayers: () => manager?.getReferenceLayers() || [],
+
+    // Editing
+    setEditing: (opts) => manager?.setEditing(opts),
+    getSharedVertices: (id, index, ring, tolerance) => manager?.getSharedVertices(id, index, ring, tolerance) || [],
+    findSharedNodes: (tolerance) => manager?.findSharedNodes(tolerance) || [],
 
     // Event callbacks
     onShapeCreated: (cb) => { _callbacks.onShapeCreated = cb },
     onShapeUpdated: (cb) => { _callbacks.onShapeUpdated = cb },
     onShapeDeleted: (cb) => { _callbacks.onShapeDeleted = cb },
-    onSnapDetected: (cb) => { _callbacks.onSnapDetected = cb }
+    onSnapDetected: (cb) => { _callbacks.onSnapDetected = cb },
+    onOperations: (cb) => { _callbacks.onOperations = cb }
   }
 }
 
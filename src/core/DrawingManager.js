@@ -1,7 +1,15 @@
 import { EventBus } from './EventBus.js'
 import { HistoryManager } from './HistoryManager.js'
-import { SnapEngine } from '../snapping/SnapEngine.js'
-import { distanceLatLng, calculatePolygonArea } from '../utils/geometry.js'
+import { SnapEngine, SNAP_KINDS } from '../snapping/SnapEngine.js'
+import { distanceLatLng, calculatePolygonArea, simplifyPath, isClockwise, isPointInPolygon, computeOffset, rotatePoint, scalePoint, MAPS_EARTH_RADIUS } from '../utils/geometry.js'
+
+// Shape state keys that change together; undo and sync resolve each group on its own
+export const SHAPE_FIELDS = {
+  geometry: ['type', 'path', 'holes', 'center', 'radius', 'bounds', 'position'],
+  name: ['name'],
+  style: ['style', 'icon'],
+  snappable: ['snappable']
+}
 
 /**
  * DrawingManager - Manages shape drawing and editing with snapping support
@@ -10,8 +18,13 @@ export class DrawingManager {
   constructor(map, options = {}) {
     this.map = map
     this.options = {
-      snapping: { enabled: true, threshold: 15, ...options.snapping },
+      snapping: { enabled: true, threshold: 15, vertexThreshold: 20, ...options.snapping },
       history: { enabled: true, maxSteps: 50, ...options.history },
+      freehand: { shape: 'polygon', tolerance: 3, unit: 'px', ...options.freehand },
+      marker: { icon: null, ...options.marker },
+      interaction: options.interaction || 'click', // 'click' or 'drag' for circles/rectangles
+      idPrefix: options.idPrefix || 'shape', // New shape ids are `${idPrefix}_${n}`
+      editing: { move: true, transform: true, rotationStep: 15, angleStep: 45, angleReference: 'segment', topology: false, topologyTolerance: 0.01, ...options.editing },
       styles: {
         drawing: { strokeColor: '#6366f1', strokeWeight: 2, fillColor: '#6366f1', fillOpacity: 0.3 },
         completed: { strokeColor: '#22c55e', strokeWeight: 2, fillColor: '#22c55e', fillOpacity: 0.2 },
@@ -24,12 +37,31 @@ export class DrawingManager {
     this.selectedShapeId = null
     this.isDrawing = false
     this.drawingType = null
+    this.drawingOptions = {}
     this.drawingPath = []
     this.lastSnapPoint = null
+    this._lastCursor = null
     this._idCounter = 0
+    this._pannable = null
+    this._freehandActive = false
     this._previewLine = null
+    this._previewShape = null
+    this._previewLabel = null
+    this._dragOrigin = null
+    this._moveSession = null
+    this._settingGeometry = false
+    this._transformHandles = []
+    this._transformSession = null
+    this._shiftKey = false
     this._previewMarkers = []
+    this._closeHighlighted = false
+    this._doubleClickZoom = null
+    this._angleGuide = null
+    this._editingContext = null
+    this._restoringHistory = false
+    this._editGesture = null
     this._drawingListeners = []
+    this._drawingMouseUp = null
     this._vertexMarkers = new Map()
     this._midpointMarkers = new Map()
     this._labels = new Map()
@@ -41,6 +73,9 @@ export class DrawingManager {
       onChange: (state) => this.events.emit('history:change', state)
     })
     this.snapEngine = new SnapEngine({ map, ...this.options.snapping })
+    this.snapEngine.setContextProvider(() => this._snapContext())
+    this.snapEngine.onSnap((snap) => this.events.emit('snap:detected', this._snapDetail(snap)))
+    this._applySnapFilters()
     
     if (!this.options.snapping.enabled) this.snapEngine.disable()
     
@@ -50,32 +85,77 @@ export class DrawingManager {
 
   // ==================== DRAWING ====================
 
-  startDrawing(type) {
+  startDrawing(type, opts = {}) {
+    // Holes are cut into the selected polygon unless a target is given
+    const holeTarget = type === 'hole' ? this.shapes.get(opts.shapeId || this.selectedShapeId) : null
+    if (type === 'hole' && holeTarget?.type !== 'polygon') return
+
     if (this.isDrawing) this.stopDrawing()
     this.isDrawing = true
     this.drawingType = type
+    this.drawingOptions = type === 'freehand' ? { ...this.options.freehand, ...opts } : { interaction: this.options.interaction, ...opts }
+    if (holeTarget) this.drawingOptions.shapeId = holeTarget.id
     this.drawingPath = []
     this.lastSnapPoint = null
     this.deselectShape()
-    this.map.setOptions({ draggableCursor: 'crosshair' })
-    this._setupDrawingListeners()
-    this.events.emit('drawing:start', { type })
+    this._setShapesClickable(false)
+    // Double-click completes the drawing instead of zooming
+    this._doubleClickZoom = this.map.get('disableDoubleClickZoom')
+    this.map.setOptions({ draggableCursor: 'crosshair', disableDoubleClickZoom: true })
+    if (type === 'freehand') {
+      // Every press sketches, so the map must not pan for the whole session
+      this._lockMapPanning()
+      this._setupFreehandListeners()
+    } else {
+      // Locking on mousedown would be too late, the map may already be panning
+      if (this._isDragDrawing()) this._lockMapPanning()
+      this._setupDrawingListeners()
+    }
+    this.events.emit('drawing:start', { type, interaction: this._isDragDrawing() ? 'drag' : 'click' })
   }
 
   stopDrawing() {
+    this._setResumedShapeVisible(true)
     this._cleanupDrawing()
+    this._unlockMapPanning()
+    this._setShapesClickable(true)
     this.isDrawing = false
     this.drawingType = null
+    this.drawingOptions = {}
     this.drawingPath = []
-    this.map.setOptions({ draggableCursor: null })
+    this._lastCursor = null
+    this._freehandActive = false
+    this._dragOrigin = null
+    this.map.setOptions({ draggableCursor: null, disableDoubleClickZoom: this._doubleClickZoom ?? false })
     this.events.emit('drawing:cancel', {})
   }
 
   completeDrawing() {
     if (!this.isDrawing) return
-    const minPoints = { polygon: 3, polyline: 2, circle: 2, rectangle: 2 }[this.drawingType] || 2
+    if (this.drawingType === 'freehand') return this._completeFreehand()
+    const minPoints = { polygon: 3, hole: 3, polyline: 2, circle: 2, rectangle: 2, marker: 1 }[this.drawingType] || 2
     if (this.drawingPath.length < minPoints) return
 
+    if (this.drawingType === 'hole') {
+      const targetId = this.drawingOptions.shapeId
+      const added = this.addHole(targetId, this.drawingPath)
+      this.stopDrawing()
+      if (added) this.selectShape(targetId)
+      return
+    }
+
+    if (this.drawingOptions.resumeId) {
+      const { resumeId, resumeFrom } = this.drawingOptions
+      const path = resumeFrom === 'start' ? [...this.drawingPath].reverse() : [...this.drawingPath]
+      const unchanged = JSON.stringify(path) === JSON.stringify(this.shapes.get(resumeId)?.path)
+      this.stopDrawing()
+      // Finishing without new points is a cancel; recording it would also drop the redo stack
+      if (!unchanged && this.setShapeGeometry(resumeId, { path })) {
+        this.events.emit('drawing:complete', { shape: this.getShapeById(resumeId) })
+      }
+      return
+    }
+
     const shape = this._createShape()
     if (shape) {
       this._registerShape(shape)
@@ -84,6 +164,41 @@ export class DrawingManager {
     this.stopDrawing()
   }
 
+  removeLastPoint() {
+    if (!this.isDrawing || this.drawingPath.length === 0 || this.drawingType === 'freehand') return false
+
+    this.drawingPath.pop()
+    this._previewMarkers.pop()?.setMap(null)
+    this._syncSnapDrawingPath()
+    this._setCloseHighlight(false)
+
+    if (this._isPathDrawing()) {
+      const cursor = this.lastSnapPoint || this._lastCursor
+      this._updatePreviewLine(cursor && this.drawingPath.length > 0 ? [...this.drawingPath, cursor] : this.drawingPath)
+    } else {
+      this._clearPreview()
+    }
+    this.events.emit('drawing:update', { count: this.drawingPath.length })
+    return true
+  }
+
+  resumeDrawing(shapeId, from = 'end') {
+    const shape = this.shapes.get(shapeId)
+    if (!shape || shape.type !== 'polyline') return false
+
+    this.startDrawing('polyline')
+    this.drawingOptions.resumeId = shapeId
+    this.drawingOptions.resumeFrom = from
+    // New vertices are always appended, so drawing from the start works on the reversed path
+    this.drawingPath = from === 'start' ? [...shape.path].reverse() : [...shape.path]
+    this.drawingPath.forEach(p => this._addPreviewMarker(p))
+    this._updatePreviewLine(this.drawingPath)
+    this._syncSnapDrawingPath()
+    this._setResumedShapeVisible(false)
+    this.events.emit('drawing:update', { count: this.drawingPath.length })
+    return true
+  }
+
   // ==================== SHAPES ====================
 
   getShapes() {
@@ -95,303 +210,1616 @@ export class DrawingManager {
     return s ? this._serialize(s) : undefined
   }
 
+  renameShapeIds(shouldRename) {
+    // Move shapes to fresh ids under the current idPrefix, e.g. shapes drawn before joining a SyncSession.
+    // History follows along, so undo keeps working on the renamed shapes. Returns { [oldId]: newId }
+    const ids = {}
+    this.shapes.forEach((shape, id) => {
+      if (shouldRename(id)) ids[id] = `${this.options.idPrefix}_${++this._idCounter}`
+    })
+    if (Object.keys(ids).length === 0) return ids
+
+    const selected = this.selectedShapeId
+    Object.entries(ids).forEach(([from, to]) => {
+      const data = this._snapshot(this.shapes.get(from))
+      this._removeShape(from)
+      this._restoreShape({ ...data, id: to })
+    })
+
+    // Batches share their operations with the inner actions; rename each once
+    const renamed = new Set()
+    const renameState = (state) => (state && ids[state.id] ? { ...state, id: ids[state.id] } : state)
+    this.history.updateActions(action => {
+      action.shapeIds = (action.shapeIds || []).map(id => ids[id] ?? id)
+      action.operations?.forEach(op => {
+        if (renamed.has(op)) return
+        renamed.add(op)
+        op.shapeId = ids[op.shapeId] ?? op.shapeId
+        op.before = renameState(op.before)
+        op.after = renameState(op.after)
+      })
+    })
+    if (ids[selected]) this.selectShape(ids[selected])
+    return ids
+  }
+
+  getShapeState(id) {
+    // Snapshot in the format of history operations, or null if the shape doesn't exist
+    const shape = this.shapes.get(id)
+    return shape ? this._snapshot(shape) : null
+  }
+
+  applyShapeState(id, state) {
+    // Set a shape to a snapshot without recording history, e.g. a change made by another user.
+    // Local edits in progress on the shape are cancelled, so they can't record the change as their own
+    if (this._moveSession?.shape.id === id) this._endMove(false)
+    if (this._transformSession?.shape.id === id) this._endTransform(false)
+    if (this._editGesture?.shapes.some(s => s.id === id)) this._editGesture.cancelled = true
+    this._applyShapeState(id, state && { ...state, area: this._geometryArea(state.type, state) })
+  }
+
+  toGeoJSON() {
+    return {
+      type: 'FeatureCollection',
+      features: Array.from(this.shapes.values()).map(s => this._toGeoJSONFeature(s))
+    }
+  }
+
   deleteShape(id) {
     const shape = this.shapes.get(id)
     if (!shape) return
-    const data = this._serialize(shape)
-    this.history.push({
-      type: 'delete',
-      undo: () => this._restoreShape(data),
-      redo: () => this._removeShape(id)
-    })
+    this._record('delete', [{ type: 'delete', shapeId: id, before: this._snapshot(shape), after: null }])
     this._removeShape(id)
   }
 
   updateShapeName(id, name) {
     const shape = this.shapes.get(id)
-    if (!shape) return
-    
+    if (!shape || shape.name === name) return
+
+    const before = this._snapshot(shape)
     shape.name = name
     this._updateLabel(shape)
+    this._record('rename', [{ type: 'rename', shapeId: id, before, after: this._snapshot(shape) }], `Rename ${before.name || before.type} to ${name}`)
+    this.events.emit('shape:updated', { shape: this._serialize(shape) })
+  }
+
+  setShapeStyle(id, style) {
+    // Style options over styles.completed, e.g. { strokeColor, fillColor }; null restores the default
+    const shape = this.shapes.get(id)
+    if (!shape || shape.type === 'marker') return false
+
+    const before = this._snapshot(shape)
+    this._setShapeStyle(shape, style ? { ...shape.style, ...style } : null)
+    this._record('style', [{ type: 'style', shapeId: id, before, after: this._snapshot(shape) }])
     this.events.emit('shape:updated', { shape: this._serialize(shape) })
+    return true
+  }
+
+  moveVertex(shapeId, index, latLng, ring = 0) {
+    return this._editRing(shapeId, ring, (path) => {
+      if (index < 0 || index >= path.length) return false
+      path[index] = this._toLatLngLiteral(latLng)
+    })
+  }
+
+  insertVertex(shapeId, index, latLng, ring = 0) {
+    return this._editRing(shapeId, ring, (path) => {
+      if (index < 0 || index > path.length) return false
+      path.splice(index, 0, this._toLatLngLiteral(latLng))
+    })
+  }
+
+  removeVertex(shapeId, index, ring = 0) {
+    const shape = this.shapes.get(shapeId)
+    return this._editRing(shapeId, ring, (path) => {
+      if (index < 0 || index >= path.length || path.length <= this._minVertices(shape)) return false
+      path.splice(index, 1)
+    })
+  }
+
+  setShapeGeometry(shapeId, geometry) {
+    const shape = this.shapes.get(shapeId)
+    if (!shape) return false
+
+    const before = this._getGeometry(shape)
+    // Only the keys of the shape's own type, e.g. no path for a circle
+    const keys = Object.keys(geometry || {})
+    if (keys.length === 0 || !keys.every(key => key in before)) return false
+
+    const next = { ...before, ...geometry }
+    if (!this._isValidGeometry(shape, next)) return false
+
+    this._applyGeometry(shape, next)
+    this._commitGeometryChange(shape, before)
+    return true
+  }
+
+  setMarkerIcon(id, icon) {
+    const shape = this.shapes.get(id)
+    if (!shape || shape.type !== 'marker') return
+
+    const before = this._snapshot(shape)
+    shape.icon = icon || null
+    shape.obj.setIcon(icon || null)
+    this._record('style', [{ type: 'style', shapeId: id, before, after: this._snapshot(shape) }])
+    this.events.emit('shape:updated', { shape: this._serialize(shape) })
+  }
+
+  addHole(shapeId, path) {
+    const shape = this.shapes.get(shapeId)
+    if (!shape || shape.type !== 'polygon' || path.length < 3) return false
+    // A hole must lie within the outer ring
+    if (!path.every(p => isPointInPolygon(p, shape.path))) return false
+
+    const before = this._getGeometry(shape)
+    this._applyGeometry(shape, { ...before, holes: [...before.holes, path.map(p => ({ lat: p.lat, lng: p.lng }))] })
+    this._commitGeometryChange(shape, before)
+    return true
+  }
+
+  removeHole(shapeId, holeIndex) {
+    const shape = this.shapes.get(shapeId)
+    if (!shape || shape.type !== 'polygon' || !shape.holes?.[holeIndex]) return false
+
+    const before = this._getGeometry(shape)
+    this._applyGeometry(shape, { ...before, holes: before.holes.filter((_, i) => i !== holeIndex) })
+    this._commitGeometryChange(shape, before)
+    return true
   }
 
   clearAll() {
     if (this.shapes.size === 0) return
-    const all = this.getShapes()
-    this.history.push({
-      type: 'clear',
-      undo: () => all.forEach(d => this._restoreShape(d)),
-      redo: () => { 
-        this.shapes.forEach((s, id) => this._removeShape(id))
+    const operations = [...this.shapes.values()].map(shape => ({ type: 'delete', shapeId: shape.id, before: this._snapshot(shape), after: null }))
+    this._record('clear', operations, 'Clear all')
+    this.shapes.forEach((s, id) => this._removeShape(id))
+    this.events.emit('shapes:cleared', {})
+  }
+
+  selectShape(id) {
+    if (this.selectedShapeId === id) return
+    
+    if (this.selectedShapeId) {
+      this._hideMarkers(this.selectedShapeId)
+      this._removeTransformHandles()
+      const prev = this.shapes.get(this.selectedShapeId)
+      if (prev) this._applySelectionStyle(prev, false)
+    }
+    
+    this.selectedShapeId = id
+    const shape = this.shapes.get(id)
+    if (shape) {
+      this._applySelectionStyle(shape, true)
+      this._showMarkers(id)
+      this._showTransformHandles(shape)
+      this.events.emit('shape:selected', { shape: this._serialize(shape) })
+    }
+  }
+
+  deselectShape() {
+    if (!this.selectedShapeId) return
+    
+    this._hideMarkers(this.selectedShapeId)
+    this._removeTransformHandles()
+    const shape = this.shapes.get(this.selectedShapeId)
+    if (shape) this._applySelectionStyle(shape, false)
+    
+    this.selectedShapeId = null
+    this.events.emit('shape:deselected', {})
+  }
+
+  // ==================== HISTORY ====================
+
+  undo() { this.history.undo() }
+  redo() { this.history.redo() }
+  goToHistory(index) { return this.history.goTo(index) }
+  getHistoryEntries() { return this.history.getEntries() }
+
+  exportHistory() {
+    // JSON-safe history: every entry with its create/update/delete/rename/style/snappable operations
+    return JSON.parse(JSON.stringify({ version: 1, ...this.history.serialize() }))
+  }
+
+  importHistory(log) {
+    // Replace all shapes and history with an exported session; undo and redo continue from where it left off.
+    // A log that isn't a valid version 1 export is rejected before anything is touched
+    if (!this._isValidHistoryLog(log)) return false
+
+    this._restoringHistory = true
+    try {
+      if (this.isDrawing) this.stopDrawing()
+      this._endMove(false)
+      this.deselectShape()
+      this.shapes.forEach((s, id) => this._removeShape(id))
+      this.history.clear()
+
+      log.entries.forEach(entry => {
+        entry.operations.forEach(op => this._applyShapeState(op.shapeId, op.after))
+        this.history.push(this._historyAction(entry))
+      })
+      // Entries beyond maxSteps were dropped from the front
+      const dropped = log.entries.length - this.history.getState().historyLength
+      this.history.goTo(Math.max(-1, log.currentIndex - dropped))
+    } finally {
+      this._restoringHistory = false
+    }
+    // Operations aren't emitted while importing; listeners that mirror shapes, such as SyncSession, resync here
+    this.events.emit('history:imported', { shapeIds: [...this.shapes.keys()] })
+    return true
+  }
+
+  applyOperations(operations, { type, label } = {}) {
+    // Re-apply operations, e.g. from 'history:operations' of another session, as one undo step
+    if (operations.length === 0) return
+    operations.forEach(op => this._applyShapeState(op.shapeId, op.after))
+    const types = new Set(operations.map(op => op.type))
+    this._record(type || (types.size === 1 ? operations[0].type : 'batch'), operations, label)
+  }
+  get canUndo() { return this.history.canUndo }
+  get canRedo() { return this.history.canRedo }
+
+  // Group several operations into one undo step; see HistoryManager
+  beginBatch(label) { this.history.beginBatch(label) }
+  endBatch() { this.history.endBatch() }
+  transaction(label, fn) { return this.history.transaction(label, fn) }
+
+  // ==================== SNAPPING ====================
+
+  setSnapping(opts) {
+    if (opts.enabled !== undefined) {
+      opts.enabled ? this.snapEngine.enable() : this.snapEngine.disable()
+      this.options.snapping.enabled = opts.enabled
+    }
+    if (opts.threshold !== undefined) {
+      this.snapEngine.setThreshold(opts.threshold)
+      this.options.snapping.threshold = opts.threshold
+    }
+    if (opts.vertexThreshold !== undefined) {
+      this.snapEngine.setVertexThreshold(opts.vertexThreshold)
+      this.options.snapping.vertexThreshold = opts.vertexThreshold
+    }
+    if (opts.grid !== undefined) {
+      this.snapEngine.setGrid(opts.grid)
+      this.options.snapping.grid = { ...this.snapEngine.grid }
+    }
+    SNAP_KINDS.forEach(kind => {
+      if (opts[kind] === undefined) return
+      this.snapEngine.setKindEnabled(kind, opts[kind])
+      this.options.snapping[kind] = opts[kind]
+    })
+    if (opts.types !== undefined || opts.filter !== undefined) {
+      if (opts.types !== undefined) this.options.snapping.types = opts.types
+      if (opts.filter !== undefined) this.options.snapping.filter = opts.filter
+      this._applySnapFilters()
+    }
+    if (opts.circleTargets !== undefined) {
+      this.snapEngine.setCircleTargets(opts.circleTargets)
+      this.options.snapping.circleTargets = { ...this.snapEngine.circleTargets }
+    }
+    if (opts.indicator !== undefined) {
+      this.snapEngine.setIndicator(opts.indicator)
+      this.options.snapping.indicator = { ...this.snapEngine.indicator }
+    }
+  }
+
+  setShapeSnappable(id, snappable) {
+    const shape = this.shapes.get(id)
+    if (!shape) return false
+    if ((shape.snappable !== false) === snappable) return true
+
+    const before = this._snapshot(shape)
+    shape.snappable = snappable
+    this.snapEngine.addShape(shape.id, shape.type, shape.obj, { snappable })
+    const label = `${snappable ? 'Enable' : 'Disable'} snapping to ${shape.name || shape.type}`
+    this._record('snappable', [{ type: 'snappable', shapeId: id, before, after: this._snapshot(shape) }], label)
+    this.events.emit('shape:updated', { shape: this._serialize(shape) })
+    return true
+  }
+
+  _applySnapFilters() {
+    const { types = null, filter = null } = this.options.snapping
+    this.snapEngine.setFilters({
+      types,
+      // Callers get shapes as getShapes() returns them; reference layers as-is
+      filter: filter && ((candidate, context) =>
+        filter(candidate.type === 'reference' ? candidate : this._serialize(this.shapes.get(candidate.id)), context))
+    })
+  }
+
+  _snapDetail(snap) {
+    // Plain description of a snap for 'snap:detected'; null shapeId means the shape being drawn or the grid
+    const shape = snap.shapeId ? this.shapes.get(snap.shapeId) : null
+    const edge = snap.edge || snap.edges?.[0]
+    return {
+      point: snap.point,
+      kind: snap.kind,
+      distance: snap.distance,
+      shapeId: shape ? shape.id : null,
+      shapeName: shape ? shape.name : null,
+      shapeType: shape ? shape.type : snap.layerId ? 'reference' : null,
+      layerId: snap.layerId ?? null,
+      featureId: snap.featureId ?? null,
+      vertexIndex: snap.vertexIndex ?? null,
+      anchor: snap.anchor || null,
+      edgeIndex: edge ? edge.edgeIndex : null,
+      heading: snap.heading ?? null,
+      ring: snap.ring ?? edge?.ring ?? null,
+      edges: snap.edges ? snap.edges.map(e => ({ shapeId: e.shapeId, edgeIndex: e.edgeIndex, ring: e.ring ?? null })) : null,
+      guides: snap.guides ? snap.guides.map(g => ({ type: g.type, shapeId: g.shapeId ?? null })) : null,
+      cell: snap.cell || null
+    }
+  }
+
+  _snapContext() {
+    // What the user is doing while snap targets are considered, for snapping filters
+    if (this.isDrawing) {
+      return { action: 'draw', type: this.drawingType, shapeId: this.drawingOptions.resumeId || this.drawingOptions.shapeId || null }
+    }
+    if (this._moveSession) return { action: 'move', shapeId: this._moveSession.shape.id }
+    return this._editingContext || { action: null, shapeId: null }
+  }
+
+  isSnappingEnabled() { return this.snapEngine.isEnabled() }
+
+  // Read-only geometry to snap to; not part of getShapes()
+  addReferenceLayer(id, source, options) { this.snapEngine.addReferenceLayer(id, source, options) }
+  removeReferenceLayer(id) { this.snapEngine.removeReferenceLayer(id) }
+  getReferenceLayers() { return this.snapEngine.getReferenceLayers() }
+
+  // ==================== EDITING ====================
+
+  setEditing(opts) {
+    Object.assign(this.options.editing, opts)
+    if (opts.move === false) this._endMove()
+    if (opts.transform !== undefined) {
+      const shape = this.shapes.get(this.selectedShapeId)
+      shape ? this._showTransformHandles(shape) : this._removeTransformHandles()
+    }
+  }
+
+  // ==================== EVENTS ====================
+
+  on(event, cb) { return this.events.on(event, cb) }
+  off(event, cb) { this.events.off(event, cb) }
+
+  // ==================== CLEANUP ====================
+
+  destroy() {
+    this._endMove()
+    this.stopDrawing()
+    this._removeKeyboardShortcuts()
+    this._removeMapClickListener()
+    this.shapes.forEach((s, id) => this._removeShape(id))
+    this._labels.forEach((label) => label.setMap(null))
+    this._labels.clear()
+    this.snapEngine.destroy()
+    this.events.clear()
+  }
+
+  // ==================== PRIVATE ====================
+
+  _setupDrawingListeners() {
+    const click = this.map.addListener('click', (e) => {
+      if (!this.isDrawing || this._isDragDrawing()) return
+      const cursor = { lat: e.latLng.lat(), lng: e.latLng.lng() }
+
+      // Clicking the start vertex closes the polygon
+      if (this._isNearFirstVertex(cursor)) {
+        this.completeDrawing()
+        return
+      }
+      // The clicks of a double-click land on the last point - don't add them again.
+      // Compare the point that would be stored, which snapping may have moved off the cursor
+      const pt = this.lastSnapPoint || cursor
+      if (this._isNearLastVertex(pt)) return
+
+      this._handleDrawingClick(pt)
+    })
+
+    const move = this.map.addListener('mousemove', (e) => {
+      const pt = { lat: e.latLng.lat(), lng: e.latLng.lng() }
+      this._lastCursor = pt
+      const n = this.drawingPath.length
+      
+      if (this._isShiftDown(e) && n > 0 && this._isPathDrawing()) {
+        // The constrained point is used even without a snap target
+        const { point, snap } = this._constrainAngle(this.drawingPath[n - 1], this.drawingPath[n - 2], pt, this.drawingOptions.resumeId)
+        this.lastSnapPoint = point
+        this.events.emit('snap:active', { active: !!snap, point: snap ? snap.point : null })
+      } else if (this.options.snapping.enabled) {
+        this._hideAngleGuide()
+        // A resumed polyline is hidden while drawing and must not snap to its old self
+        const snap = this.snapEngine.findSnapPoint(pt, this.drawingOptions.resumeId)
+        this.lastSnapPoint = snap ? snap.point : null
+        this.events.emit('snap:active', { active: !!snap, point: this.lastSnapPoint })
+      } else {
+        this._hideAngleGuide()
+        this.lastSnapPoint = null
+      }
+      
+      if (this.drawingPath.length > 0 && this._isPathDrawing()) {
+        this._updatePreviewLine([...this.drawingPath, this.lastSnapPoint || pt])
+        this._setCloseHighlight(this._isNearFirstVertex(pt))
+      } else if (this.drawingPath.length === 1 && (this.drawingType === 'circle' || this.drawingType === 'rectangle')) {
+        this._updatePreviewShape(this.drawingPath[0], this.lastSnapPoint || pt)
+      }
+    })
+
+    const dblclick = this.map.addListener('dblclick', () => this.completeDrawing())
+    
+    this._drawingListeners = [click, move, dblclick]
+
+    if (this._isDragDrawing()) {
+      this._drawingListeners.push(
+        this.map.addListener('mousedown', (e) => this._startDragDrawing(e)),
+        this.map.addListener('mouseup', (e) => this._endDragDrawing({ lat: e.latLng.lat(), lng: e.latLng.lng() }))
+      )
+      // Releasing outside the map ends the drag at the last cursor position
+      this._setDrawingMouseUp(() => this._endDragDrawing(this._lastCursor))
+    }
+  }
+
+  _setDrawingMouseUp(handler) {
+    this._drawingMouseUp = handler
+    document.addEventListener('mouseup', handler)
+  }
+
+  _isDragDrawing() {
+    return this.drawingOptions.interaction === 'drag' && (this.drawingType === 'circle' || this.drawingType === 'rectangle')
+  }
+
+  _startDragDrawing(e) {
+    const pt = this.lastSnapPoint || { lat: e.latLng.lat(), lng: e.latLng.lng() }
+    this._dragOrigin = this._toPixel(pt)
+    this.drawingPath = [pt]
+    this._addPreviewMarker(pt)
+  }
+
+  _endDragDrawing(cursor) {
+    if (!this._dragOrigin) return
+
+    const pt = this.lastSnapPoint || cursor || this.drawingPath[0]
+    const end = this._toPixel(pt)
+    const dragged = Math.hypot(end.x - this._dragOrigin.x, end.y - this._dragOrigin.y) > 3
+    this._dragOrigin = null
+
+    if (!dragged) {
+      // A plain click is not a size - wait for a real drag
+      this.drawingPath = []
+      this._clearPreview()
+      return
+    }
+
+    this.drawingPath.push(pt)
+    this.completeDrawing()
+  }
+
+  _setupFreehandListeners() {
+    const down = this.map.addListener('mousedown', (e) => {
+      this._freehandActive = true
+      this.drawingPath = [this.lastSnapPoint || { lat: e.latLng.lat(), lng: e.latLng.lng() }]
+      this._clearPreview()
+    })
+
+    const move = this.map.addListener('mousemove', (e) => {
+      const pt = { lat: e.latLng.lat(), lng: e.latLng.lng() }
+
+      if (!this._freehandActive) {
+        // Show where the sketch would start
+        if (this.options.snapping.enabled) {
+          const snap = this.snapEngine.findSnapPoint(pt)
+          this.lastSnapPoint = snap ? snap.point : null
+          this.events.emit('snap:active', { active: !!snap, point: this.lastSnapPoint })
+        }
+        return
+      }
+
+      this.drawingPath.push(pt)
+      this._updatePreviewLine(this.drawingPath)
+      this.events.emit('drawing:update', { count: this.drawingPath.length })
+    })
+
+    const up = this.map.addListener('mouseup', () => {
+      if (this._freehandActive) this._completeFreehand()
+    })
+
+    this._drawingListeners = [down, move, up]
+    // The sketch also ends when the button is released outside the map
+    this._setDrawingMouseUp(() => this._completeFreehand())
+  }
+
+  _completeFreehand() {
+    if (!this._freehandActive) return
+    this._freehandActive = false
+
+    const { shape: type, tolerance, unit } = this.drawingOptions
+    const project = unit === 'm' ? this._metersProjector(this.drawingPath[0]) : (p) => this._toPixel(p)
+    let path = simplifyPath(this.drawingPath, tolerance, project)
+
+    // A closed lasso ends near its start point, which the polygon ring already implies;
+    // keeping it would leave a sliver edge
+    const gap = (p) => {
+      const a = project(p[0])
+      const b = project(p[p.length - 1])
+      return Math.hypot(a.x - b.x, a.y - b.y)
+    }
+    if (type === 'polygon' && path.length > 3 && gap(path) <= tolerance) path = path.slice(0, -1)
+    path = this._snapEndpoints(path)
+    // Both ends may have snapped to the same target
+    if (type === 'polygon' && path.length > 3 && gap(path) === 0) path = path.slice(0, -1)
+
+    if (path.length < (type === 'polygon' ? 3 : 2)) {
+      // Too short to be a shape - discard the sketch and let the user try again
+      this.drawingPath = []
+      this._clearPreview()
+      this.events.emit('drawing:update', { count: 0 })
+      return
+    }
+
+    this.drawingPath = path
+    const shape = this._createShape(type)
+    if (shape) {
+      this._registerShape(shape)
+      this.events.emit('drawing:complete', { shape: this._serialize(shape) })
+    }
+    this.stopDrawing()
+  }
+
+  _snapEndpoints(path) {
+    if (!this.options.snapping.enabled || path.length === 0) return path
+
+    const snapped = [...path]
+    const first = this.snapEngine.findSnapPoint(path[0])
+    if (first) snapped[0] = first.point
+    if (path.length > 1) {
+      const last = this.snapEngine.findSnapPoint(path[path.length - 1])
+      if (last) snapped[snapped.length - 1] = last.point
+    }
+    this.snapEngine.hideIndicator()
+    return snapped
+  }
+
+  _toPixel(pt) {
+    const projection = this.map.getProjection()
+    const scale = Math.pow(2, this.map.getZoom())
+    const world = projection.fromLatLngToPoint(new google.maps.LatLng(pt.lat, pt.lng))
+    return { x: world.x * scale, y: world.y * scale }
+  }
+
+  _metersProjector(origin) {
+    // Local equirectangular projection, accurate enough for sketch-sized areas
+    const R = 6371000
+    const cosLat = Math.cos(origin.lat * Math.PI / 180)
+    return (p) => ({
+      x: (p.lng - origin.lng) * Math.PI / 180 * R * cosLat,
+      y: (p.lat - origin.lat) * Math.PI / 180 * R
+    })
+  }
+
+  _lockMapPanning() {
+    if (this._pannable !== null) return
+    this._pannable = this.map.get('draggable') !== false
+    this.map.setOptions({ draggable: false })
+  }
+
+  _unlockMapPanning() {
+    if (this._pannable === null) return
+    this.map.setOptions({ draggable: this._pannable })
+    this._pannable = null
+  }
+
+  _setShapesClickable(clickable) {
+    // Shapes would otherwise swallow the map clicks/moves needed for drawing over them
+    this.shapes.forEach(s => s.obj.setOptions({ clickable }))
+  }
+
+  _setResumedShapeVisible(visible) {
+    const shape = this.shapes.get(this.drawingOptions.resumeId)
+    if (!shape) return
+    shape.obj.setVisible(visible)
+    this._labels.get(shape.id)?.setVisible(visible)
+  }
+
+  _isNearFirstVertex(pt) {
+    if ((this.drawingType !== 'polygon' && this.drawingType !== 'hole') || this.drawingPath.length < 3) return false
+    return this._pixelDistance(pt, this.drawingPath[0]) <= this.options.snapping.vertexThreshold
+  }
+
+  _isNearLastVertex(pt) {
+    if (!this._isPathDrawing() || this.drawingPath.length === 0) return false
+    return this._pixelDistance(pt, this.drawingPath[this.drawingPath.length - 1]) <= 3
+  }
+
+  _pixelDistance(a, b) {
+    if (!this.map.getProjection()) return Infinity
+    const pa = this._toPixel(a)
+    const pb = this._toPixel(b)
+    return Math.hypot(pa.x - pb.x, pa.y - pb.y)
+  }
+
+  _syncSnapDrawingPath() {
+    // Earlier vertices of the shape being drawn are snap targets too
+    this.snapEngine.setDrawingPath(this._isPathDrawing() ? this.drawingPath : [])
+  }
+
+  _isPathDrawing() {
+    return this.drawingType === 'polygon' || this.drawingType === 'polyline' || this.drawingType === 'hole'
+  }
+
+  _handleDrawingClick(pt) {
+    if (this._isPathDrawing()) {
+      this.drawingPath.push(pt)
+      this._addPreviewMarker(pt)
+      this._updatePreviewLine(this.drawingPath)
+      this._syncSnapDrawingPath()
+      this.events.emit('drawing:update', { count: this.drawingPath.length })
+    } else if (this.drawingType === 'circle' || this.drawingType === 'rectangle') {
+      this.drawingPath.push(pt)
+      if (this.drawingPath.length === 1) {
+        this._addPreviewMarker(pt)
+      } else {
+        this.completeDrawing()
+      }
+    } else if (this.drawingType === 'marker') {
+      this.drawingPath.push(pt)
+      this.completeDrawing()
+    }
+  }
+
+  _createShape(type = this.drawingType) {
+    const id = `${this.options.idPrefix}_${++this._idCounter}`
+    const name = `Shape ${++this._shapeNameCounter}`
+    let data
+
+    if (type === 'polygon') {
+      data = { id, name, type: 'polygon', path: [...this.drawingPath], holes: [], area: calculatePolygonArea(this.drawingPath) }
+    } else if (type === 'polyline') {
+      data = { id, name, type: 'polyline', path: [...this.drawingPath], area: 0 }
+    } else if (type === 'circle') {
+      const [center, edge] = this.drawingPath
+      // Measured on the sphere the circle is drawn and snapped on, so the edge point lies on it
+      const radius = distanceLatLng(center, edge, MAPS_EARTH_RADIUS)
+      data = { id, name, type: 'circle', center, radius, area: Math.PI * radius * radius }
+    } else if (type === 'rectangle') {
+      const bounds = this._boundsFromCorners(...this.drawingPath)
+      data = { id, name, type: 'rectangle', bounds, area: this._rectangleArea(bounds) }
+    } else if (type === 'marker') {
+      const icon = this.drawingOptions.icon || this.options.marker.icon || null
+      data = { id, name, type: 'marker', position: this.drawingPath[0], icon, area: 0 }
+    }
+
+    return data && { ...data, obj: this._buildShapeObject(data) }
+  }
+
+  _buildShapeObject(data) {
+    const style = { ...this.options.styles.completed, ...data.style }
+
+    if (data.type === 'polygon') {
+      const holes = (data.holes || []).map(h => this._orientHole(data.path, h))
+      return new google.maps.Polygon({ paths: [data.path, ...holes], map: this.map, ...style, editable: false, clickable: true })
+    } else if (data.type === 'polyline') {
+      return new google.maps.Polyline({ path: data.path, map: this.map, strokeColor: style.strokeColor, strokeWeight: style.strokeWeight, editable: false, clickable: true })
+    } else if (data.type === 'circle') {
+      return new google.maps.Circle({ center: data.center, radius: data.radius, map: this.map, ...style, editable: true, clickable: true })
+    } else if (data.type === 'rectangle') {
+      return new google.maps.Rectangle({ bounds: data.bounds, map: this.map, ...style, editable: true, clickable: true })
+    } else if (data.type === 'marker') {
+      return new google.maps.Marker({ position: data.position, icon: data.icon || null, map: this.map, draggable: true, clickable: true })
+    }
+  }
+
+  _registerShape(shape) {
+    this._attachShape(shape)
+    
+    const data = this._serialize(shape)
+    this._record('create', [{ type: 'create', shapeId: shape.id, before: null, after: this._snapshot(shape) }])
+    this.events.emit('shape:created', { shape: data })
+  }
+
+  _attachShape(shape) {
+    this.shapes.set(shape.id, shape)
+    this.snapEngine.addShape(shape.id, shape.type, shape.obj, { snappable: shape.snappable !== false })
+    
+    // Click on shape to select it (prevent map click propagation)
+    shape.obj.addListener('click', (e) => {
+      e.stop = true // Mark event as handled
+      this.selectShape(shape.id)
+    })
+    
+    // Create vertex markers for polygon/polyline
+    if (shape.type === 'polygon' || shape.type === 'polyline') {
+      this._createVertexMarkers(shape)
+    }
+
+    if (shape.type === 'circle' || shape.type === 'rectangle') {
+      this._setupNativeEditing(shape)
+    }
+
+    if (shape.type === 'marker') {
+      this._setupMarkerDrag(shape)
+    } else {
+      // Drag the body of a selected shape to move it
+      shape.obj.addListener('mousedown', (e) => this._startMove(shape, e))
+    }
+    
+    // Create label for the shape
+    this._createLabel(shape)
+  }
+
+  _removeShape(id) {
+    const shape = this.shapes.get(id)
+    if (!shape) return
+    
+    this._removeMarkers(id)
+    this._removeLabel(id)
+    shape.obj.setMap(null)
+    this.shapes.delete(id)
+    this.snapEngine.removeShape(id)
+    
+    if (this.selectedShapeId === id) {
+      this._removeTransformHandles()
+      this.selectedShapeId = null
+    }
+    
+    this.events.emit('shape:deleted', { id })
+  }
+
+  _replaceShape(id, data) {
+    // Swap the Google object under an existing id, e.g. when a rectangle becomes a polygon
+    const old = this.shapes.get(id)
+    if (!old) return
+    const wasSelected = this.selectedShapeId === id
+
+    this._removeMarkers(id)
+    this._removeLabel(id)
+    old.obj.setMap(null)
+    this.snapEngine.removeShape(id)
+
+    const shape = { ...data, id, obj: this._buildShapeObject(data) }
+    this._attachShape(shape)
+    if (wasSelected) {
+      this._applySelectionStyle(shape, true)
+      if (!this._transformSession) {
+        this._showMarkers(id)
+        this._showTransformHandles(shape)
+      }
+    }
+    this.events.emit('shape:updated', { shape: this._serialize(shape) })
+    return shape
+  }
+
+  _restoreShape(data) {
+    const shape = { ...data, obj: this._buildShapeObject(data) }
+    // Shapes from an imported history must not collide with ones drawn later
+    const [, idPrefix, idNumber] = /^(.+)_(\d+)$/.exec(data.id) || []
+    const nameNumber = /^Shape (\d+)$/.exec(data.name)?.[1]
+    if (idPrefix === this.options.idPrefix) this._idCounter = Math.max(this._idCounter, +idNumber)
+    if (nameNumber) this._shapeNameCounter = Math.max(this._shapeNameCounter, +nameNumber)
+    this._attachShape(shape)
+    this.events.emit('shape:created', { shape: this._serialize(shape) })
+  }
+
+  _serialize(shape) {
+    return { 
+      id: shape.id, 
+      name: shape.name,
+      type: shape.type, 
+      path: shape.path, 
+      holes: shape.holes,
+      center: shape.center, 
+      radius: shape.radius, 
+      bounds: shape.bounds, 
+      position: shape.position,
+      icon: shape.icon,
+      style: shape.style || null,
+      area: shape.area,
+      snappable: shape.snappable !== false
+    }
+  }
+
+  _boundsFromCorners(p1, p2) {
+    return { 
+      north: Math.max(p1.lat, p2.lat), 
+      south: Math.min(p1.lat, p2.lat), 
+      east: Math.max(p1.lng, p2.lng), 
+      west: Math.min(p1.lng, p2.lng) 
+    }
+  }
+
+  _rectangleSize(bounds) {
+    return {
+      width: distanceLatLng({ lat: bounds.north, lng: bounds.west }, { lat: bounds.north, lng: bounds.east }),
+      height: distanceLatLng({ lat: bounds.south, lng: bounds.west }, { lat: bounds.north, lng: bounds.west })
+    }
+  }
+
+  _rectangleArea(bounds) {
+    const { width, height } = this._rectangleSize(bounds)
+    return width * height
+  }
+
+  _toGeoJSONFeature(shape) {
+    const ring = (path, clockwise) => {
+      const coords = (isClockwise(path) === clockwise ? path : [...path].reverse()).map(p => [p.lng, p.lat])
+      return [...coords, coords[0]] // Close the ring
+    }
+    let geometry
+
+    if (shape.type === 'polygon') {
+      // RFC 7946: exterior rings counterclockwise, holes clockwise
+      geometry = { type: 'Polygon', coordinates: [ring(shape.path, false), ...(shape.holes || []).map(h => ring(h, true))] }
+    } else if (shape.type === 'polyline') {
+      geometry = { type: 'LineString', coordinates: shape.path.map(p => [p.lng, p.lat]) }
+    } else if (shape.type === 'circle') {
+      // GeoJSON has no circle, approximate it with a polygon
+      const points = []
+      for (let i = 0; i < 64; i++) points.push(computeOffset(shape.center, shape.radius, i * 360 / 64, MAPS_EARTH_RADIUS))
+      geometry = { type: 'Polygon', coordinates: [ring(points, false)] }
+    } else if (shape.type === 'rectangle') {
+      const { north, south, east, west } = shape.bounds
+      const corners = [{ lat: south, lng: west }, { lat: south, lng: east }, { lat: north, lng: east }, { lat: north, lng: west }]
+      geometry = { type: 'Polygon', coordinates: [ring(corners, false)] }
+    } else if (shape.type === 'marker') {
+      geometry = { type: 'Point', coordinates: [shape.position.lng, shape.position.lat] }
+    }
+
+    return {
+      type: 'Feature',
+      properties: { id: shape.id, name: shape.name, shapeType: shape.type, area: shape.area, radius: shape.radius },
+      geometry
+    }
+  }
+
+  // ==================== GEOMETRY ====================
+
+  _getRings(shape) {
+    if (shape.type === 'polygon') return shape.obj.getPaths().getArray()
+    if (shape.type === 'polyline') return [shape.obj.getPath()]
+    return []
+  }
+
+  _getGeometry(shape) {
+    const copy = (path) => path.map(p => ({ lat: p.lat, lng: p.lng }))
+
+    if (shape.type === 'polygon') return { path: copy(shape.path), holes: (shape.holes || []).map(copy) }
+    if (shape.type === 'polyline') return { path: copy(shape.path) }
+    if (shape.type === 'circle') return { center: { ...shape.center }, radius: shape.radius }
+    if (shape.type === 'rectangle') return { bounds: { ...shape.bounds } }
+    if (shape.type === 'marker') return { position: { ...shape.position } }
+    return {}
+  }
+
+  _applyGeometry(shape, geometry) {
+    this._setObjectGeometry(shape, geometry)
+
+    if (shape.type === 'polygon' || shape.type === 'polyline') {
+      // setPath(s) replaces the MVCArrays the markers were bound to
+      this._rebuildMarkers(shape)
+    } else {
+      this._updateShapeData(shape)
+    }
+  }
+
+  _setObjectGeometry(shape, geometry) {
+    // Lets native change listeners tell our own updates apart from user edits
+    this._settingGeometry = true
+    try {
+      if (shape.type === 'polygon') {
+        const holes = (geometry.holes || []).map(h => this._orientHole(geometry.path, h))
+        shape.obj.setPaths([geometry.path, ...holes])
+      } else if (shape.type === 'polyline') {
+        shape.obj.setPath(geometry.path)
+      } else if (shape.type === 'circle') {
+        shape.obj.setCenter(geometry.center)
+        shape.obj.setRadius(geometry.radius)
+      } else if (shape.type === 'rectangle') {
+        shape.obj.setBounds(geometry.bounds)
+      } else if (shape.type === 'marker') {
+        shape.obj.setPosition(geometry.position)
+      }
+    } finally {
+      this._settingGeometry = false
+    }
+    // Live edits change the geometry before it is committed; keep snap targets in step
+    this.snapEngine.invalidateShape(shape.id)
+  }
+
+  _getGeometryVertices(type, geometry) {
+    if (type === 'polygon') return [geometry.path, ...(geometry.holes || [])].flat()
+    if (type === 'polyline') return geometry.path
+    if (type === 'circle') return [geometry.center]
+    if (type === 'marker') return [geometry.position]
+    if (type === 'rectangle') {
+      const { north, south, east, west } = geometry.bounds
+      return [{ lat: north, lng: west }, { lat: north, lng: east }, { lat: south, lng: east }, { lat: south, lng: west }]
+    }
+    return []
+  }
+
+  _mapGeometry(type, geometry, fn) {
+    if (type === 'polygon') return { path: geometry.path.map(fn), holes: (geometry.holes || []).map(h => h.map(fn)) }
+    if (type === 'polyline') return { path: geometry.path.map(fn) }
+    if (type === 'circle') return { center: fn(geometry.center), radius: geometry.radius }
+    if (type === 'marker') return { position: fn(geometry.position) }
+    if (type === 'rectangle') {
+      const { north, south, east, west } = geometry.bounds
+      return { bounds: this._boundsFromCorners(fn({ lat: north, lng: east }), fn({ lat: south, lng: west })) }
+    }
+    return geometry
+  }
+
+  _toWorld(pt) {
+    return this.map.getProjection().fromLatLngToPoint(new google.maps.LatLng(pt.lat, pt.lng))
+  }
+
+  _fromWorld(p) {
+    const latLng = this.map.getProjection().fromPointToLatLng(new google.maps.Point(p.x, p.y))
+    return { lat: latLng.lat(), lng: latLng.lng() }
+  }
+
+  _editRing(shapeId, ringIndex, fn) {
+    const shape = this.shapes.get(shapeId)
+    if (!shape || (shape.type !== 'polygon' && shape.type !== 'polyline')) return false
+
+    const before = this._getGeometry(shape)
+    const rings = [before.path, ...(before.holes || [])].map(r => [...r])
+    const path = rings[ringIndex]
+    if (!path || fn(path) === false) return false
+
+    // Coordinates often come from form inputs, where an empty field gives NaN or undefined
+    const next = shape.type === 'polygon' ? { path: rings[0], holes: rings.slice(1) } : { path: rings[0] }
+    if (!this._isValidGeometry(shape, next)) return false
+
+    this._applyGeometry(shape, next)
+    this._commitGeometryChange(shape, before)
+    return true
+  }
+
+  _minVertices(shape) {
+    return shape.type === 'polygon' ? 3 : 2
+  }
+
+  _isValidGeometry(shape, geometry) {
+    const isPoint = (p) => !!p && Number.isFinite(p.lat) && Number.isFinite(p.lng)
+    const isPath = (path, min) => Array.isArray(path) && path.length >= min && path.every(isPoint)
+
+    if (shape.type === 'polygon') return isPath(geometry.path, 3) && (geometry.holes || []).every(h => isPath(h, 3))
+    if (shape.type === 'polyline') return isPath(geometry.path, 2)
+    if (shape.type === 'circle') return isPoint(geometry.center) && geometry.radius > 0
+    if (shape.type === 'marker') return isPoint(geometry.position)
+    if (shape.type === 'rectangle') {
+      const b = geometry.bounds
+      return !!b && b.north > b.south && [b.north, b.south, b.east, b.west].every(Number.isFinite)
+    }
+    return false
+  }
+
+  _toLatLngLiteral(latLng) {
+    // Accept both google.maps.LatLng and {lat, lng}
+    if (!latLng) return null
+    return typeof latLng.lat === 'function'
+      ? { lat: latLng.lat(), lng: latLng.lng() }
+      : { lat: latLng.lat, lng: latLng.lng }
+  }
+
+  _orientHole(outer, hole) {
+    // Google Maps only cuts out inner rings that wind opposite to the outer ring
+    return isClockwise(hole) === isClockwise(outer) ? [...hole].reverse() : hole
+  }
+
+  _commitGeometryChange(shape, before, type = 'update') {
+    this._commitGeometryChanges([{ shape, before }], type)
+  }
+
+  _commitGeometryChanges(changes, type = 'update') {
+    // One history entry for edits spanning several shapes
+    const operations = changes.map(({ shape, before }) => ({
+      type: 'update',
+      shapeId: shape.id,
+      before: this._snapshot(shape, before),
+      after: this._snapshot(shape)
+    }))
+    this._record(type, operations)
+  }
+
+  _record(type, operations, label) {
+    // Operations are plain data, so history entries can be saved and rebuilt, see exportHistory()
+    const timestamp = Date.now()
+    operations = operations.map(op => ({ ...op, timestamp }))
+    label = label ?? this._historyLabel(type, operations.map(op => op.after || op.before))
+    const action = this._historyAction({ type, label, timestamp, operations })
+    this.history.push(action)
+    this._emitOperations('do', action)
+  }
+
+  _historyAction({ type, label, timestamp, operations }) {
+    // Shapes may be re-created by delete/restore, so they are looked up when applied
+    const action = {
+      type,
+      label,
+      timestamp,
+      shapeIds: [...new Set(operations.map(op => op.shapeId))],
+      operations,
+      undo: () => {
+        for (let i = operations.length - 1; i >= 0; i--) this._applyTransition(operations[i].shapeId, operations[i].after, operations[i].before)
+        this._emitOperations('undo', action)
+      },
+      redo: () => {
+        operations.forEach(op => this._applyTransition(op.shapeId, op.before, op.after))
+        this._emitOperations('redo', action)
+      }
+    }
+    return action
+  }
+
+  _emitOperations(direction, { type, label, operations }) {
+    if (this._restoringHistory) return
+    this.events.emit('history:operations', { direction, type, label, operations })
+  }
+
+  _applyShapeState(id, data) {
+    // Bring a shape to a recorded snapshot; null means the shape doesn't exist
+    const shape = this.shapes.get(id)
+    if (!data) return this._removeShape(id)
+    if (!shape) return this._restoreShape(data)
+    if (shape.type !== data.type) return this._replaceShape(id, data)
+
+    shape.name = data.name
+    shape.snappable = data.snappable !== false
+    if (shape.type === 'marker') {
+      shape.icon = data.icon || null
+      shape.obj.setIcon(shape.icon)
+    } else {
+      this._setShapeStyle(shape, data.style || null)
+    }
+    // Updates the label, snapping and listeners with the rest of the shape data
+    this._applyGeometry(shape, this._getGeometry(data))
+  }
+
+  _beginGesture(shapes) {
+    // A drag of Google's own handles or markers, which can't be stopped once started;
+    // applyShapeState marks it cancelled when another user changes one of its shapes
+    this._editGesture = { shapes, cancelled: false }
+    return this._editGesture
+  }
+
+  _endGesture(gesture) {
+    // False if the gesture was cancelled, after putting its shapes back to their data
+    if (this._editGesture === gesture) this._editGesture = null
+    if (!gesture?.cancelled) return true
+    gesture.shapes.forEach(shape => {
+      if (this.shapes.get(shape.id) === shape) this._applyGeometry(shape, this._getGeometry(shape))
+    })
+    return false
+  }
+
+  _isValidHistoryLog(log) {
+    const isState = (state, id) => state === null ||
+      (!!state && typeof state === 'object' && state.id === id && this._isValidGeometry(state, state))
+    const isOperation = (op) => !!op && typeof op.shapeId === 'string' &&
+      isState(op.before, op.shapeId) && isState(op.after, op.shapeId) && (op.before || op.after)
+    const isEntry = (entry) => !!entry && typeof entry.type === 'string' &&
+      Array.isArray(entry.operations) && entry.operations.every(isOperation)
+
+    return !!log && log.version === 1 && Array.isArray(log.entries) && log.entries.every(isEntry) &&
+      Number.isInteger(log.currentIndex) && log.currentIndex >= -1 && log.currentIndex < log.entries.length
+  }
+
+  _applyTransition(id, from, to) {
+    // Undo/redo from one snapshot to another, keeping changes made since by others (see applyShapeState):
+    // a field group is only reverted while it still holds the value this step left it with
+    const shape = this.shapes.get(id)
+    if (!shape || !from || !to) {
+      // Creating and deleting apply as is, unless someone else already removed the shape
+      if (!shape && from && to) return
+      return this._applyShapeState(id, to)
+    }
+
+    const current = this._snapshot(shape)
+    const state = { ...current }
+    Object.values(SHAPE_FIELDS).forEach(keys => {
+      const pick = (data) => JSON.stringify(keys.map(key => data[key] ?? null))
+      if (pick(current) === pick(from)) keys.forEach(key => { state[key] = to[key] })
+    })
+    state.area = this._geometryArea(state.type, state)
+    this._applyShapeState(id, state)
+  }
+
+  _snapshot(shape, geometry = this._getGeometry(shape)) {
+    // Serializable shape state; geometry replaces the current one, e.g. for the state before an edit
+    return {
+      ...this._serialize(shape),
+      ...geometry,
+      style: shape.style ? { ...shape.style } : null,
+      area: this._geometryArea(shape.type, geometry)
+    }
+  }
+
+  _geometryArea(type, geometry) {
+    if (type === 'polygon') return calculatePolygonArea(geometry.path, geometry.holes || [])
+    if (type === 'circle') return Math.PI * geometry.radius * geometry.radius
+    if (type === 'rectangle') return this._rectangleArea(geometry.bounds)
+    return 0
+  }
+
+  _historyLabel(type, shapes) {
+    // e.g. "Draw Polygon 1", "Move 3 shapes"
+    const verbs = { create: 'Draw', delete: 'Delete', update: 'Edit', move: 'Move', rotate: 'Rotate', scale: 'Scale', rename: 'Rename', style: 'Restyle', batch: 'Change' }
+    const target = shapes.length === 1 ? (shapes[0].name || shapes[0].type) : `${shapes.length} shapes`
+    return `${verbs[type] || type} ${target}`
+  }
+
+  _applySelectionStyle(shape, selected) {
+    if (shape.type === 'marker') {
+      // Markers keep their own icon, just bring the selected one to front
+      shape.obj.setZIndex(selected ? 1001 : null)
+      return
+    }
+    shape.obj.setOptions(this._shapeStyle(shape, selected))
+  }
+
+  _shapeStyle(shape, selected = this.selectedShapeId === shape.id) {
+    return { ...this.options.styles.completed, ...shape.style, ...(selected ? this.options.styles.selected : {}) }
+  }
+
+  _setShapeStyle(shape, style) {
+    shape.style = style
+    shape.obj.setOptions(this._shapeStyle(shape))
+  }
+
+  _setupNativeEditing(shape) {
+    // Circles and rectangles are resized through Google's own edit handles,
+    // which only report *_changed events - group them per mouse gesture
+    let before = null
+    let gesture = null
+
+    const onMouseUp = () => {
+      document.removeEventListener('mouseup', onMouseUp, true)
+      // Let the last *_changed event of the gesture land first
+      setTimeout(() => {
+        if (this._endGesture(gesture) && before && this.shapes.get(shape.id) === shape) {
+          this._commitGeometryChange(shape, before)
+        }
+        before = null
+        gesture = null
+      })
+    }
+
+    const onChange = () => {
+      if (this._settingGeometry) return
+      if (gesture?.cancelled) {
+        // Changed by someone else mid-gesture - Google's handles can't be released, so hold the shape in place
+        this._setObjectGeometry(shape, this._getGeometry(shape))
+        return
+      }
+      if (!before) {
+        // Shape data still holds the pre-gesture geometry at this point
+        before = this._getGeometry(shape)
+        gesture = this._beginGesture([shape])
+        document.addEventListener('mouseup', onMouseUp, true)
+      }
+      this._updateShapeData(shape)
+    }
+
+    const events = shape.type === 'circle' ? ['center_changed', 'radius_changed'] : ['bounds_changed']
+    events.forEach(name => shape.obj.addListener(name, onChange))
+  }
+
+  _setupMarkerDrag(shape) {
+    let before = null
+    let gesture = null
+
+    shape.obj.addListener('dragstart', () => {
+      before = this._getGeometry(shape)
+      gesture = this._beginGesture([shape])
+      this._editingContext = { action: 'marker', shapeId: shape.id }
+    })
+
+    shape.obj.addListener('drag', (e) => {
+      if (gesture?.cancelled) return
+      const pt = { lat: e.latLng.lat(), lng: e.latLng.lng() }
+      const snap = this.options.snapping.enabled ? this.snapEngine.findSnapPoint(pt, shape.id) : null
+
+      if (snap) {
+        shape.obj.setPosition(snap.point)
+        this.events.emit('snap:active', { active: true, point: snap.point })
+      } else {
+        this.snapEngine.hideIndicator()
+        this.events.emit('snap:active', { active: false })
+      }
+      this.snapEngine.invalidateShape(shape.id)
+    })
+
+    shape.obj.addListener('dragend', () => {
+      this._editingContext = null
+      if (this._endGesture(gesture)) {
+        this._updateShapeData(shape)
+        this._commitGeometryChange(shape, before)
       }
+      gesture = null
+      this.snapEngine.hideIndicator()
+      this.events.emit('snap:active', { active: false })
     })
-    this.shapes.forEach((s, id) => this._removeShape(id))
-    this.events.emit('shapes:cleared', {})
   }
 
-  selectShape(id) {
-    if (this.selectedShapeId === id) return
-    
-    if (this.selectedShapeId) {
-      this._hideMarkers(this.selectedShapeId)
-      const prev = this.shapes.get(this.selectedShapeId)
-      if (prev) prev.obj.setOptions(this.options.styles.completed)
+  // ==================== MOVE ====================
+
+  _startMove(shape, e) {
+    if (this.isDrawing || !this.options.editing.move || this.selectedShapeId !== shape.id) return
+    if (!this.map.getProjection()) return
+
+    this._endMove()
+    this._lockMapPanning()
+    this._hideMarkers(shape.id)
+    this._removeTransformHandles()
+
+    const session = {
+      shape,
+      before: this._getGeometry(shape),
+      origin: this._toWorld({ lat: e.latLng.lat(), lng: e.latLng.lng() }),
+      moved: false,
+      listeners: []
     }
-    
-    this.selectedShapeId = id
-    const shape = this.shapes.get(id)
-    if (shape) {
-      shape.obj.setOptions(this.options.styles.selected)
-      this._showMarkers(id)
-      this.events.emit('shape:selected', { shape: this._serialize(shape) })
+    const onMove = (ev) => this._updateMove({ lat: ev.latLng.lat(), lng: ev.latLng.lng() })
+    const onNativeEdit = () => {
+      // Google's own edit handles (circle radius, rectangle corners) are being dragged
+      if (!this._settingGeometry) this._endMove(false)
+    }
+
+    session.listeners.push(
+      this.map.addListener('mousemove', onMove),
+      shape.obj.addListener('mousemove', onMove),
+      this.map.addListener('mouseup', () => this._endMove()),
+      shape.obj.addListener('mouseup', () => this._endMove())
+    )
+    if (shape.type === 'circle') {
+      session.listeners.push(shape.obj.addListener('center_changed', onNativeEdit), shape.obj.addListener('radius_changed', onNativeEdit))
+    } else if (shape.type === 'rectangle') {
+      session.listeners.push(shape.obj.addListener('bounds_changed', onNativeEdit))
     }
+    // The button may be released outside the map
+    session.docMouseUp = () => this._endMove()
+    document.addEventListener('mouseup', session.docMouseUp)
+
+    this._moveSession = session
   }
 
-  deselectShape() {
-    if (!this.selectedShapeId) return
-    
-    this._hideMarkers(this.selectedShapeId)
-    const shape = this.shapes.get(this.selectedShapeId)
-    if (shape) shape.obj.setOptions(this.options.styles.completed)
-    
-    this.selectedShapeId = null
-    this.events.emit('shape:deselected', {})
+  _updateMove(pt) {
+    const session = this._moveSession
+    if (!session) return
+
+    const { shape, before, origin } = session
+    const cursor = this._toWorld(pt)
+    let dx = cursor.x - origin.x
+    let dy = cursor.y - origin.y
+    const translate = (p) => {
+      const w = this._toWorld(p)
+      return this._fromWorld({ x: w.x + dx, y: w.y + dy })
+    }
+
+    let geometry = this._mapGeometry(shape.type, before, translate)
+
+    // Snap the vertex closest to a neighbouring edge and drag the rest along
+    const snap = this.options.snapping.enabled
+      ? this.snapEngine.findBestSnap(this._getGeometryVertices(shape.type, geometry), shape.id)
+      : null
+    if (snap) {
+      const from = this._toWorld(this._getGeometryVertices(shape.type, geometry)[snap.index])
+      const to = this._toWorld(snap.point)
+      dx += to.x - from.x
+      dy += to.y - from.y
+      geometry = this._mapGeometry(shape.type, before, translate)
+    }
+    this.events.emit('snap:active', { active: !!snap, point: snap ? snap.point : null })
+
+    session.moved = true
+    session.geometry = geometry
+    this._setObjectGeometry(shape, geometry)
+    this._labels.get(shape.id)?.setPosition(this._getShapeCenter({ ...shape, ...geometry }))
   }
 
-  // ==================== HISTORY ====================
+  _endMove(commit = true) {
+    const session = this._moveSession
+    if (!session) return
+    this._moveSession = null
 
-  undo() { this.history.undo() }
-  redo() { this.history.redo() }
-  get canUndo() { return this.history.canUndo }
-  get canRedo() { return this.history.canRedo }
+    session.listeners.forEach(l => google.maps.event.removeListener(l))
+    document.removeEventListener('mouseup', session.docMouseUp)
+    this._unlockMapPanning()
+    this.snapEngine.hideIndicator()
+    this.events.emit('snap:active', { active: false })
 
-  // ==================== SNAPPING ====================
+    const { shape, before } = session
+    if (!this.shapes.has(shape.id)) return
 
-  setSnapping(opts) {
-    if (opts.enabled !== undefined) {
-      opts.enabled ? this.snapEngine.enable() : this.snapEngine.disable()
-      this.options.snapping.enabled = opts.enabled
+    if (commit && session.moved) {
+      this._applyGeometry(shape, session.geometry)
+      this._commitGeometryChange(shape, before, 'move')
+    } else if (session.moved) {
+      this._applyGeometry(shape, before)
     }
-    if (opts.threshold !== undefined) {
-      this.snapEngine.setThreshold(opts.threshold)
-      this.options.snapping.threshold = opts.threshold
+    if (this.selectedShapeId === shape.id) {
+      this._showMarkers(shape.id)
+      this._showTransformHandles(shape)
     }
   }
 
-  isSnappingEnabled() { return this.snapEngine.isEnabled() }
-
-  // ==================== EVENTS ====================
+  // ==================== TRANSFORM ====================
 
-  on(event, cb) { return this.events.on(event, cb) }
-  off(event, cb) { this.events.off(event, cb) }
+  _showTransformHandles(shape) {
+    this._removeTransformHandles()
+    if (!this.options.editing.transform || !this.map.getProjection()) return
+    if (shape.type !== 'polygon' && shape.type !== 'polyline' && shape.type !== 'rectangle') return
 
-  // ==================== CLEANUP ====================
+    const frame = this._getTransformFrame(shape)
+    frame.corners.forEach(corner => this._transformHandles.push(this._createTransformHandle(shape.id, 'scale', corner)))
+    this._transformHandles.push(this._createTransformHandle(shape.id, 'rotate', frame.rotateHandle))
+  }
 
-  destroy() {
-    this.stopDrawing()
-    this._removeKeyboardShortcuts()
-    this._removeMapClickListener()
-    this.shapes.forEach((s, id) => this._removeShape(id))
-    this._labels.forEach((label) => label.setMap(null))
-    this._labels.clear()
-    this.snapEngine.destroy()
-    this.events.clear()
+  _removeTransformHandles() {
+    this._transformHandles.forEach(m => m.setMap(null))
+    this._transformHandles = []
   }
 
-  // ==================== PRIVATE ====================
+  _getTransformFrame(shape) {
+    // Axis-aligned bounding box in world coordinates
+    const points = this._getGeometryVertices(shape.type, this._getGeometry(shape)).map(p => this._toWorld(p))
+    const xs = points.map(p => p.x)
+    const ys = points.map(p => p.y)
+    const minX = Math.min(...xs), maxX = Math.max(...xs)
+    const minY = Math.min(...ys), maxY = Math.max(...ys)
+    const offset = 30 / Math.pow(2, this.map.getZoom()) // 30px above the top edge
+
+    return {
+      center: { x: (minX + maxX) / 2, y: (minY + maxY) / 2 },
+      corners: [
+        { x: minX, y: minY }, { x: maxX, y: minY }, { x: maxX, y: maxY }, { x: minX, y: maxY }
+      ].map(p => this._fromWorld(p)),
+      rotateHandle: this._fromWorld({ x: (minX + maxX) / 2, y: minY - offset })
+    }
+  }
 
-  _setupDrawingListeners() {
-    const click = this.map.addListener('click', (e) => {
-      if (!this.isDrawing) return
-      const pt = this.lastSnapPoint || { lat: e.latLng.lat(), lng: e.latLng.lng() }
-      this._handleDrawingClick(pt)
+  _createTransformHandle(shapeId, kind, position) {
+    const marker = new google.maps.Marker({
+      position,
+      map: this.map,
+      draggable: true,
+      cursor: kind === 'rotate' ? 'grab' : 'nwse-resize',
+      zIndex: 1001,
+      icon: {
+        path: kind === 'rotate' ? google.maps.SymbolPath.CIRCLE : 'M -1,-1 1,-1 1,1 -1,1 z',
+        scale: kind === 'rotate' ? 7 : 5,
+        fillColor: '#ffffff',
+        fillOpacity: 1,
+        strokeColor: this.options.styles.selected.strokeColor,
+        strokeWeight: 2
+      }
     })
 
-    const move = this.map.addListener('mousemove', (e) => {
-      const pt = { lat: e.latLng.lat(), lng: e.latLng.lng() }
-      
-      if (this.options.snapping.enabled) {
-        const snap = this.snapEngine.findSnapPoint(pt)
-        this.lastSnapPoint = snap ? snap.point : null
-        this.events.emit('snap:active', { active: !!snap, point: this.lastSnapPoint })
-      }
-      
-      if (this.drawingPath.length > 0 && (this.drawingType === 'polygon' || this.drawingType === 'polyline')) {
-        this._updatePreviewLine([...this.drawingPath, this.lastSnapPoint || pt])
-      }
+    marker.addListener('mousedown', (e) => {
+      e.stop = true // Prevent map click
     })
 
-    const dblclick = this.map.addListener('dblclick', () => this.completeDrawing())
-    
-    this._drawingListeners = [click, move, dblclick]
+    marker.addListener('dragstart', (e) => this._startTransform(shapeId, kind, marker, { lat: e.latLng.lat(), lng: e.latLng.lng() }))
+    marker.addListener('drag', (e) => this._updateTransform({ lat: e.latLng.lat(), lng: e.latLng.lng() }, this._isShiftDown(e)))
+    marker.addListener('dragend', () => this._endTransform())
+
+    return marker
   }
 
-  _handleDrawingClick(pt) {
-    if (this.drawingType === 'polygon' || this.drawingType === 'polyline') {
-      this.drawingPath.push(pt)
-      this._addPreviewMarker(pt)
-      this._updatePreviewLine(this.drawingPath)
-      this.events.emit('drawing:update', { count: this.drawingPath.length })
-    } else if (this.drawingType === 'circle' || this.drawingType === 'rectangle') {
-      this.drawingPath.push(pt)
-      if (this.drawingPath.length === 1) {
-        this._addPreviewMarker(pt)
-      } else {
-        this.completeDrawing()
-      }
+  _startTransform(shapeId, kind, handle, start) {
+    let shape = this.shapes.get(shapeId)
+    if (!shape) return
+
+    const session = { kind, handle, beforeData: this._serialize(shape), center: this._getTransformFrame(shape).center, start: this._toWorld(start) }
+    this._transformSession = session
+
+    if (kind === 'rotate' && shape.type === 'rectangle') {
+      // google.maps.Rectangle is axis-aligned, so a rotated rectangle is stored as a 4-vertex polygon
+      const path = this._getGeometryVertices('rectangle', this._getGeometry(shape))
+      shape = this._replaceShape(shapeId, { ...session.beforeData, type: 'polygon', path, holes: [], bounds: undefined })
     }
+
+    session.shape = shape
+    session.before = this._getGeometry(shape)
+    this._hideMarkers(shapeId)
+    // Only the dragged handle stays visible
+    this._transformHandles.forEach(m => { if (m !== handle) m.setVisible(false) })
   }
 
-  _createShape() {
-    const id = `shape_${++this._idCounter}`
-    const name = `Shape ${++this._shapeNameCounter}`
-    const style = this.options.styles.completed
-    let obj, data
-
-    if (this.drawingType === 'polygon') {
-      obj = new google.maps.Polygon({ paths: this.drawingPath, map: this.map, ...style, editable: false, clickable: true })
-      data = { id, name, type: 'polygon', path: [...this.drawingPath], area: calculatePolygonArea(this.drawingPath), obj }
-    } else if (this.drawingType === 'polyline') {
-      obj = new google.maps.Polyline({ path: this.drawingPath, map: this.map, strokeColor: style.strokeColor, strokeWeight: style.strokeWeight, editable: false, clickable: true })
-      data = { id, name, type: 'polyline', path: [...this.drawingPath], area: 0, obj }
-    } else if (this.drawingType === 'circle') {
-      const [center, edge] = this.drawingPath
-      const radius = distanceLatLng(center, edge)
-      obj = new google.maps.Circle({ center, radius, map: this.map, ...style, editable: true, clickable: true })
-      data = { id, name, type: 'circle', center, radius, area: Math.PI * radius * radius, obj }
-    } else if (this.drawingType === 'rectangle') {
-      const [p1, p2] = this.drawingPath
-      const bounds = { 
-        north: Math.max(p1.lat, p2.lat), 
-        south: Math.min(p1.lat, p2.lat), 
-        east: Math.max(p1.lng, p2.lng), 
-        west: Math.min(p1.lng, p2.lng) 
+  _updateTransform(pt, shiftKey) {
+    const session = this._transformSession
+    if (!session) return
+
+    const { shape, center, start } = session
+    const cursor = this._toWorld(pt)
+    let transform
+
+    if (session.kind === 'rotate') {
+      let angle = Math.atan2(cursor.y - center.y, cursor.x - center.x) - Math.atan2(start.y - center.y, start.x - center.x)
+      if (shiftKey) {
+        const step = this.options.editing.rotationStep * Math.PI / 180
+        angle = Math.round(angle / step) * step
       }
-      obj = new google.maps.Rectangle({ bounds, map: this.map, ...style, editable: true, clickable: true })
-      const w = distanceLatLng({ lat: bounds.north, lng: bounds.west }, { lat: bounds.north, lng: bounds.east })
-      const h = distanceLatLng({ lat: bounds.south, lng: bounds.west }, { lat: bounds.north, lng: bounds.west })
-      data = { id, name, type: 'rectangle', bounds, area: w * h, obj }
+      transform = (p) => rotatePoint(p, center, angle)
+    } else {
+      const startDistance = Math.hypot(start.x - center.x, start.y - center.y)
+      if (startDistance === 0) return
+      const factor = Math.hypot(cursor.x - center.x, cursor.y - center.y) / startDistance
+      transform = (p) => scalePoint(p, center, factor)
     }
 
-    return data
+    session.geometry = this._mapGeometry(shape.type, session.before, (p) => this._fromWorld(transform(this._toWorld(p))))
+    this._setObjectGeometry(shape, session.geometry)
+    this._labels.get(shape.id)?.setPosition(this._getShapeCenter({ ...shape, ...session.geometry }))
   }
 
-  _registerShape(shape) {
-    this.shapes.set(shape.id, shape)
-    this.snapEngine.addShape(shape.id, shape.type, shape.obj)
-    
-    // Click on shape to select it (prevent map click propagation)
-    shape.obj.addListener('click', (e) => {
-      e.stop = true // Mark event as handled
-      this.selectShape(shape.id)
-    })
-    
-    // Create vertex markers for polygon/polyline
-    if (shape.type === 'polygon' || shape.type === 'polyline') {
-      this._createVertexMarkers(shape)
+  _endTransform(commit = true) {
+    const session = this._transformSession
+    if (!session) return
+    this._transformSession = null
+
+    const { shape, beforeData } = session
+    const id = shape.id
+    if (!this.shapes.has(id)) return
+
+    if (!commit) {
+      // Put the shape back as it was before the drag
+      if (shape.type !== beforeData.type) {
+        this._replaceShape(id, beforeData)
+      } else if (session.geometry) {
+        this._applyGeometry(shape, session.before)
+      }
+    } else if (shape.type !== beforeData.type) {
+      // The rectangle became a polygon - record the type change as a whole
+      if (session.geometry) {
+        this._applyGeometry(shape, session.geometry)
+        this._record('rotate', [{ type: 'update', shapeId: id, before: beforeData, after: this._snapshot(this.shapes.get(id)) }])
+      } else {
+        this._replaceShape(id, beforeData)
+      }
+    } else if (session.geometry) {
+      this._applyGeometry(shape, session.geometry)
+      this._commitGeometryChange(shape, session.before, session.kind)
     }
-    
-    // Create label for the shape
-    this._createLabel(shape)
-    
-    const data = this._serialize(shape)
-    this.history.push({
-      type: 'create',
-      undo: () => this._removeShape(shape.id),
-      redo: () => this._restoreShape(data)
-    })
-    this.events.emit('shape:created', { shape: data })
-  }
 
-  _removeShape(id) {
-    const shape = this.shapes.get(id)
-    if (!shape) return
-    
-    this._removeMarkers(id)
-    this._removeLabel(id)
-    shape.obj.setMap(null)
-    this.shapes.delete(id)
-    this.snapEngine.removeShape(id)
-    
-    if (this.selectedShapeId === id) {
-      this.selectedShapeId = null
+    const current = this.shapes.get(id)
+    if (current && this.selectedShapeId === id) {
+      this._showMarkers(id)
+      this._showTransformHandles(current)
     }
-    
-    this.events.emit('shape:deleted', { id })
   }
 
-  _restoreShape(data) {
-    const style = this.options.styles.completed
-    let obj
+  // ==================== TOPOLOGY ====================
 
-    if (data.type === 'polygon') {
-      obj = new google.maps.Polygon({ paths: data.path, map: this.map, ...style, editable: false, clickable: true })
-    } else if (data.type === 'polyline') {
-      obj = new google.maps.Polyline({ path: data.path, map: this.map, strokeColor: style.strokeColor, strokeWeight: style.strokeWeight, editable: false, clickable: true })
-    } else if (data.type === 'circle') {
-      obj = new google.maps.Circle({ center: data.center, radius: data.radius, map: this.map, ...style, editable: true, clickable: true })
-    } else if (data.type === 'rectangle') {
-      obj = new google.maps.Rectangle({ bounds: data.bounds, map: this.map, ...style, editable: true, clickable: true })
-    }
+  getSharedVertices(shapeId, index, ring = 0, tolerance = this.options.editing.topologyTolerance) {
+    const shape = this.shapes.get(shapeId)
+    const path = shape && this._getRings(shape)[ring]
+    if (!path || index < 0 || index >= path.getLength()) return []
+    return this._findCoincidentVertices(this._toLatLngLiteral(path.getAt(index)), tolerance, shapeId)
+  }
 
-    const shape = { ...data, obj }
-    this.shapes.set(data.id, shape)
-    this.snapEngine.addShape(data.id, data.type, obj)
-    
-    obj.addListener('click', (e) => {
-      e.stop = true // Mark event as handled
-      this.selectShape(data.id)
-    })
-    
-    if (shape.type === 'polygon' || shape.type === 'polyline') {
-      this._createVertexMarkers(shape)
+  findSharedNodes(tolerance = this.options.editing.topologyTolerance) {
+    // Groups of coincident vertices belonging to at least two shapes
+    const visited = new Set()
+    const key = (v) => `${v.shapeId}/${v.ring}/${v.index}`
+    const nodes = []
+
+    for (const shape of this.shapes.values()) {
+      if (shape.type !== 'polygon' && shape.type !== 'polyline') continue
+      this._getRings(shape).forEach((path, ring) => {
+        path.getArray().forEach((latLng, index) => {
+          const vertex = { shapeId: shape.id, index, ring }
+          if (visited.has(key(vertex))) return
+
+          const point = this._toLatLngLiteral(latLng)
+          const shared = this._findCoincidentVertices(point, tolerance, shape.id)
+          ;[vertex, ...shared].forEach(v => visited.add(key(v)))
+          if (shared.length > 0) nodes.push({ point, vertices: [vertex, ...shared] })
+        })
+      })
     }
-    
-    this._createLabel(shape)
-    
-    this.events.emit('shape:created', { shape: this._serialize(shape) })
+    return nodes
   }
 
-  _serialize(shape) {
-    return { 
-      id: shape.id, 
-      name: shape.name,
-      type: shape.type, 
-      path: shape.path, 
-      center: shape.center, 
-      radius: shape.radius, 
-      bounds: shape.bounds, 
-      area: shape.area 
+  _findCoincidentVertices(point, tolerance, excludeShapeId) {
+    // Only polygon and polyline vertices can move on their own
+    return this.snapEngine.findCoincidentVertices(point, tolerance, excludeShapeId)
+      .filter(v => ['polygon', 'polyline'].includes(this.shapes.get(v.shapeId)?.type))
+  }
+
+  _getLinkedVertices(shape, latLng) {
+    return this._findCoincidentVertices(this._toLatLngLiteral(latLng), this.options.editing.topologyTolerance, shape.id)
+      .map(v => {
+        const linkedShape = this.shapes.get(v.shapeId)
+        return { shape: linkedShape, path: this._getRings(linkedShape)[v.ring], index: v.index, before: this._getGeometry(linkedShape) }
+      })
+  }
+
+  // ==================== ANGLE CONSTRAINT ====================
+
+  _constrainAngle(anchor, previous, pt, excludeShapeId) {
+    // Angles are measured in world coordinates, where Mercator keeps them true
+    const a = this._toWorld(anchor)
+    const c = this._toWorld(pt)
+    const useSegment = previous && this.options.editing.angleReference === 'segment'
+    const p = useSegment ? this._toWorld(previous) : null
+    const reference = p ? Math.atan2(a.y - p.y, a.x - p.x) : -Math.PI / 2 // North is -y
+    const step = this.options.editing.angleStep * Math.PI / 180
+    const angle = reference + Math.round((Math.atan2(c.y - a.y, c.x - a.x) - reference) / step) * step
+    const dir = { x: Math.cos(angle), y: Math.sin(angle) }
+    const t = Math.max(0, (c.x - a.x) * dir.x + (c.y - a.y) * dir.y)
+    const through = this._fromWorld({ x: a.x + dir.x * t, y: a.y + dir.y * t })
+
+    this._showAngleGuide(anchor, dir)
+    const snap = this.options.snapping.enabled ? this.snapEngine.findSnapOnLine(anchor, through, excludeShapeId) : null
+    return { point: snap ? snap.point : through, snap }
+  }
+
+  _vertexNeighbours(shape, path, index) {
+    // [anchor, previous] for constraining a dragged vertex
+    const n = path.getLength()
+    const at = (i) => this._toLatLngLiteral(path.getAt(i))
+    if (shape.type === 'polygon') return [at((index - 1 + n) % n), at((index - 2 + n) % n)]
+    if (index > 0) return [at(index - 1), index > 1 ? at(index - 2) : null]
+    return [at(1), n > 2 ? at(2) : null]
+  }
+
+  _showAngleGuide(anchor, dir) {
+    // Long enough to cross the viewport at any zoom
+    const length = 4000 / Math.pow(2, this.map.getZoom())
+    const a = this._toWorld(anchor)
+    const path = [anchor, this._fromWorld({ x: a.x + dir.x * length, y: a.y + dir.y * length })]
+
+    if (this._angleGuide) {
+      this._angleGuide.setPath(path)
+      return
     }
+    this._angleGuide = new google.maps.Polyline({
+      path,
+      map: this.map,
+      clickable: false,
+      strokeOpacity: 0,
+      zIndex: 999,
+      icons: [{
+        icon: { path: 'M 0,-1 0,1', strokeOpacity: 0.8, strokeColor: this.options.styles.drawing.strokeColor, scale: 2 },
+        offset: '0',
+        repeat: '12px'
+      }]
+    })
+  }
+
+  _hideAngleGuide() {
+    this._angleGuide?.setMap(null)
+    this._angleGuide = null
   }
 
   // ==================== VERTEX MARKERS ====================
 
   _createVertexMarkers(shape) {
-    const path = shape.obj.getPath()
     const vertices = []
     const midpoints = []
 
-    // Create vertex markers
-    for (let i = 0; i < path.getLength(); i++) {
-      const marker = this._createVertexMarker(shape, i)
-      vertices.push(marker)
-    }
+    // Polygons get markers on every ring, holes included
+    for (const path of this._getRings(shape)) {
+      // Create vertex markers
+      for (let i = 0; i < path.getLength(); i++) {
+        const marker = this._createVertexMarker(shape, path, i)
+        vertices.push(marker)
+      }
 
-    // Create midpoint markers
-    const edgeCount = shape.type === 'polygon' ? path.getLength() : path.getLength() - 1
-    for (let i = 0; i < edgeCount; i++) {
-      const marker = this._createMidpointMarker(shape, i)
-      midpoints.push(marker)
+      // Create midpoint markers
+      const edgeCount = shape.type === 'polygon' ? path.getLength() : path.getLength() - 1
+      for (let i = 0; i < edgeCount; i++) {
+        const marker = this._createMidpointMarker(shape, path, i)
+        midpoints.push(marker)
+      }
     }
 
     this._vertexMarkers.set(shape.id, vertices)
     this._midpointMarkers.set(shape.id, midpoints)
   }
 
-  _createVertexMarker(shape, index) {
-    const path = shape.obj.getPath()
+  _createVertexMarker(shape, path, index) {
     const position = path.getAt(index)
 
     const marker = new google.maps.Marker({
@@ -411,13 +1839,42 @@ export class DrawingManager {
       zIndex: 1000
     })
 
+    let before = null
+    let linked = []
+    let excluded = shape.id
+    let gesture = null
+
     marker.addListener('mousedown', (e) => {
       e.stop = true // Prevent map click
     })
 
+    marker.addListener('dragstart', () => {
+      before = this._getGeometry(shape)
+      // Topology mode drags coincident vertices of neighbouring shapes along
+      linked = this.options.editing.topology ? this._getLinkedVertices(shape, path.getAt(index)) : []
+      excluded = linked.length > 0 ? [shape.id, ...linked.map(l => l.shape.id)] : shape.id
+      gesture = this._beginGesture([shape, ...linked.map(l => l.shape)])
+      this._editingContext = { action: 'vertex', shapeId: shape.id, index, ring: this._getRings(shape).indexOf(path) }
+    })
+
+    // Right-click or Alt+click deletes the vertex
+    const removeVertex = () => this.removeVertex(shape.id, index, this._getRings(shape).indexOf(path))
+    marker.addListener('rightclick', removeVertex)
+    marker.addListener('click', (e) => {
+      if (e.domEvent?.altKey) removeVertex()
+    })
+
     marker.addListener('drag', (e) => {
+      if (gesture?.cancelled) return
       const pt = { lat: e.latLng.lat(), lng: e.latLng.lng() }
-      const snap = this.options.snapping.enabled ? this.snapEngine.findSnapPoint(pt, shape.id) : null
+      let snap = null
+      if (this._isShiftDown(e)) {
+        const constrained = this._constrainAngle(...this._vertexNeighbours(shape, path, index), pt, excluded)
+        snap = { point: constrained.point }
+      } else {
+        this._hideAngleGuide()
+        snap = this.options.snapping.enabled ? this.snapEngine.findSnapPoint(pt, excluded) : null
+      }
       
       if (snap) {
         marker.setPosition(snap.point)
@@ -430,10 +1887,29 @@ export class DrawingManager {
       }
       
       this._updateMidpointPositions(shape)
+      this.snapEngine.invalidateShape(shape.id)
+      linked.forEach(l => {
+        l.path.setAt(l.index, path.getAt(index))
+        this._updateMidpointPositions(l.shape)
+        this.snapEngine.invalidateShape(l.shape.id)
+      })
     })
 
     marker.addListener('dragend', () => {
-      this._updateShapeData(shape)
+      this._editingContext = null
+      if (this._endGesture(gesture)) {
+        this._updateShapeData(shape)
+        // A neighbour may have several linked vertices; rebuild and record it once
+        const neighbours = [...new Map(linked.map(l => [l.shape.id, l])).values()]
+        // Unselected neighbours' vertex markers are still at the old position
+        neighbours.forEach(l => this._rebuildMarkers(l.shape))
+        this._commitGeometryChanges([{ shape, before }, ...neighbours])
+      }
+      gesture = null
+      before = null
+      linked = []
+      excluded = shape.id
+      this._hideAngleGuide()
       this.snapEngine.hideIndicator()
       this.events.emit('snap:active', { active: false })
     })
@@ -441,8 +1917,7 @@ export class DrawingManager {
     return marker
   }
 
-  _createMidpointMarker(shape, edgeIndex) {
-    const path = shape.obj.getPath()
+  _createMidpointMarker(shape, path, edgeIndex) {
     const p1 = path.getAt(edgeIndex)
     const p2 = path.getAt((edgeIndex + 1) % path.getLength())
     
@@ -464,6 +1939,8 @@ export class DrawingManager {
     })
 
     let insertedIndex = null
+    let before = null
+    let gesture = null
 
     marker.addListener('mousedown', (e) => {
       e.stop = true // Prevent map click
@@ -471,12 +1948,15 @@ export class DrawingManager {
 
     marker.addListener('dragstart', () => {
       // Insert new vertex at the start of drag
+      before = this._getGeometry(shape)
       insertedIndex = edgeIndex + 1
       path.insertAt(insertedIndex, marker.getPosition())
+      gesture = this._beginGesture([shape])
+      this._editingContext = { action: 'insert', shapeId: shape.id, index: insertedIndex, ring: this._getRings(shape).indexOf(path) }
     })
 
     marker.addListener('drag', (e) => {
-      if (insertedIndex === null) return
+      if (insertedIndex === null || gesture?.cancelled) return
       
       const pt = { lat: e.latLng.lat(), lng: e.latLng.lng() }
       const snap = this.options.snapping.enabled ? this.snapEngine.findSnapPoint(pt, shape.id) : null
@@ -490,12 +1970,19 @@ export class DrawingManager {
         this.snapEngine.hideIndicator()
         this.events.emit('snap:active', { active: false })
       }
+      this.snapEngine.invalidateShape(shape.id)
     })
 
     marker.addListener('dragend', () => {
-      // Rebuild markers after drag is complete
-      this._rebuildMarkers(shape)
+      this._editingContext = null
+      if (this._endGesture(gesture)) {
+        // Rebuild markers after drag is complete
+        this._rebuildMarkers(shape)
+        this._commitGeometryChange(shape, before)
+      }
+      gesture = null
       insertedIndex = null
+      before = null
       this.snapEngine.hideIndicator()
       this.events.emit('snap:active', { active: false })
     })
@@ -504,14 +1991,18 @@ export class DrawingManager {
   }
 
   _updateMidpointPositions(shape) {
-    const path = shape.obj.getPath()
     const midpoints = this._midpointMarkers.get(shape.id)
     if (!midpoints) return
 
-    for (let i = 0; i < midpoints.length; i++) {
-      const p1 = path.getAt(i)
-      const p2 = path.getAt((i + 1) % path.getLength())
-      midpoints[i].setPosition({ lat: (p1.lat() + p2.lat()) / 2, lng: (p1.lng() + p2.lng()) / 2 })
+    // Midpoints are stored ring after ring, in the order they were created
+    let k = 0
+    for (const path of this._getRings(shape)) {
+      const edgeCount = shape.type === 'polygon' ? path.getLength() : path.getLength() - 1
+      for (let i = 0; i < edgeCount; i++, k++) {
+        const p1 = path.getAt(i)
+        const p2 = path.getAt((i + 1) % path.getLength())
+        midpoints[k]?.setPosition({ lat: (p1.lat() + p2.lat()) / 2, lng: (p1.lng() + p2.lng()) / 2 })
+      }
     }
   }
 
@@ -519,21 +2010,39 @@ export class DrawingManager {
     const wasSelected = this.selectedShapeId === shape.id
     this._removeMarkers(shape.id)
     this._createVertexMarkers(shape)
-    if (wasSelected) {
+    if (wasSelected && !this._transformSession) {
       this._showMarkers(shape.id)
     }
     this._updateShapeData(shape)
   }
 
   _updateShapeData(shape) {
-    const path = shape.obj.getPath()
-    shape.path = path.getArray().map(p => ({ lat: p.lat(), lng: p.lng() }))
+    const toLiteral = (p) => ({ lat: p.lat(), lng: p.lng() })
+
     if (shape.type === 'polygon') {
-      shape.area = calculatePolygonArea(shape.path)
+      const [outer, ...holes] = this._getRings(shape).map(ring => ring.getArray().map(toLiteral))
+      shape.path = outer
+      shape.holes = holes
+      shape.area = calculatePolygonArea(shape.path, shape.holes)
+    } else if (shape.type === 'polyline') {
+      shape.path = shape.obj.getPath().getArray().map(toLiteral)
+    } else if (shape.type === 'circle') {
+      shape.center = toLiteral(shape.obj.getCenter())
+      shape.radius = shape.obj.getRadius()
+      shape.area = Math.PI * shape.radius * shape.radius
+    } else if (shape.type === 'rectangle') {
+      const b = shape.obj.getBounds()
+      shape.bounds = { north: b.getNorthEast().lat(), south: b.getSouthWest().lat(), east: b.getNorthEast().lng(), west: b.getSouthWest().lng() }
+      shape.area = this._rectangleArea(shape.bounds)
+    } else if (shape.type === 'marker') {
+      shape.position = toLiteral(shape.obj.getPosition())
     }
     this.snapEngine.removeShape(shape.id)
-    this.snapEngine.addShape(shape.id, shape.type, shape.obj)
+    this.snapEngine.addShape(shape.id, shape.type, shape.obj, { snappable: shape.snappable !== false })
     this._updateLabel(shape)
+    if (this.selectedShapeId === shape.id && !this._transformSession && !this._moveSession) {
+      this._showTransformHandles(shape)
+    }
     this.events.emit('shape:updated', { shape: this._serialize(shape) })
   }
 
@@ -574,6 +2083,20 @@ export class DrawingManager {
     this._previewMarkers.push(m)
   }
 
+  _setCloseHighlight(highlight) {
+    const first = this._previewMarkers[0]
+    if (!first || this._closeHighlighted === highlight) return
+    this._closeHighlighted = highlight
+    first.setIcon({
+      path: google.maps.SymbolPath.CIRCLE,
+      scale: highlight ? 11 : 8,
+      fillColor: highlight ? this.options.styles.selected.strokeColor : this.options.styles.drawing.strokeColor,
+      fillOpacity: 1,
+      strokeColor: '#fff',
+      strokeWeight: 2
+    })
+  }
+
   _updatePreviewLine(path) {
     if (!this._previewLine) {
       this._previewLine = new google.maps.Polyline({
@@ -588,15 +2111,69 @@ export class DrawingManager {
     this._previewLine.setPath(path)
   }
 
-  _cleanupDrawing() {
-    this._drawingListeners.forEach(l => google.maps.event.removeListener(l))
-    this._drawingListeners = []
+  _updatePreviewShape(start, end) {
+    const style = { ...this.options.styles.drawing, map: this.map, clickable: false, zIndex: 998 }
+    let measurement, text
+
+    if (this.drawingType === 'circle') {
+      const radius = distanceLatLng(start, end, MAPS_EARTH_RADIUS)
+      if (!this._previewShape) this._previewShape = new google.maps.Circle(style)
+      this._previewShape.setCenter(start)
+      this._previewShape.setRadius(radius)
+      measurement = { radius }
+      text = `r ${this._formatDistance(radius)}`
+    } else {
+      const bounds = this._boundsFromCorners(start, end)
+      if (!this._previewShape) this._previewShape = new google.maps.Rectangle(style)
+      this._previewShape.setBounds(bounds)
+      measurement = this._rectangleSize(bounds)
+      text = `${this._formatDistance(measurement.width)} × ${this._formatDistance(measurement.height)}`
+    }
+
+    if (!this._previewLabel) {
+      this._previewLabel = new google.maps.Marker({
+        map: this.map,
+        clickable: false,
+        zIndex: 10000,
+        icon: { path: 'M 0,0 z', scale: 1, labelOrigin: new google.maps.Point(0, -16) }
+      })
+    }
+    this._previewLabel.setPosition(end)
+    this._previewLabel.setLabel({ text, color: '#ffffff', fontSize: '12px', fontWeight: 'bold', className: 'shape-label' })
+
+    this.events.emit('drawing:update', { count: this.drawingPath.length, measurement })
+  }
+
+  _formatDistance(meters) {
+    return meters < 1000 ? `${meters.toFixed(1)} m` : `${(meters / 1000).toFixed(2)} km`
+  }
+
+  _clearPreview() {
     if (this._previewLine) {
       this._previewLine.setMap(null)
       this._previewLine = null
     }
+    if (this._previewShape) {
+      this._previewShape.setMap(null)
+      this._previewShape = null
+    }
+    if (this._previewLabel) {
+      this._previewLabel.setMap(null)
+      this._previewLabel = null
+    }
     this._previewMarkers.forEach(m => m.setMap(null))
     this._previewMarkers = []
+    this._closeHighlighted = false
+  }
+
+  _cleanupDrawing() {
+    this._drawingListeners.forEach(l => google.maps.event.removeListener(l))
+    this._drawingListeners = []
+    if (this._drawingMouseUp) document.removeEventListener('mouseup', this._drawingMouseUp)
+    this._drawingMouseUp = null
+    this._clearPreview()
+    this._hideAngleGuide()
+    this.snapEngine.clearDrawingPath()
     this.snapEngine.hideIndicator()
     this.lastSnapPoint = null
   }
@@ -622,22 +2199,40 @@ export class DrawingManager {
   // ==================== KEYBOARD ====================
 
   _setupKeyboardShortcuts() {
+    // Fallback modifier state for map events that don't carry it, see _isShiftDown
+    this._modifierHandler = (e) => { this._shiftKey = e.shiftKey }
     this._keyHandler = (e) => {
       if (e.ctrlKey && e.key === 'z' && !e.shiftKey) { e.preventDefault(); this.undo() }
       if (e.ctrlKey && (e.key === 'y' || (e.shiftKey && e.key === 'z'))) { e.preventDefault(); this.redo() }
       if (e.key === 'Escape' && this.isDrawing) this.stopDrawing()
       if (e.key === 'Enter' && this.isDrawing) this.completeDrawing()
+      if (e.key === 'Backspace' && this.isDrawing) {
+        e.preventDefault()
+        this.removeLastPoint()
+        return
+      }
       if ((e.key === 'Delete' || e.key === 'Backspace') && this.selectedShapeId) { 
         e.preventDefault()
         this.deleteShape(this.selectedShapeId)
       }
     }
     document.addEventListener('keydown', this._keyHandler)
+    document.addEventListener('keydown', this._modifierHandler)
+    document.addEventListener('keyup', this._modifierHandler)
+  }
+
+  _isShiftDown(e) {
+    // Mouse events carry the real state; key events miss a Shift released while the window was unfocused
+    const shiftKey = e?.domEvent?.shiftKey
+    if (typeof shiftKey === 'boolean') this._shiftKey = shiftKey
+    return this._shiftKey
   }
 
   _removeKeyboardShortcuts() {
     if (this._keyHandler) {
       document.removeEventListener('keydown', this._keyHandler)
+      document.removeEventListener('keydown', this._modifierHandler)
+      document.removeEventListener('keyup', this._modifierHandler)
     }
   }
 
@@ -651,10 +2246,7 @@ export class DrawingManager {
       map: this.map,
       clickable: false,
       zIndex: 10000,
-      icon: {
-        path: google.maps.SymbolPath.CIRCLE,
-        scale: 0, // Invisible icon
-      },
+      icon: this._labelIcon(shape),
       label: {
         text: shape.name || '',
         color: '#ffffff',
@@ -685,6 +2277,17 @@ export class DrawingManager {
     }
   }
 
+  _labelIcon(shape) {
+    if (shape.type === 'marker') {
+      // Invisible icon whose label sits just below the marker
+      return { path: 'M 0,0 z', scale: 1, labelOrigin: new google.maps.Point(0, 14) }
+    }
+    return {
+      path: google.maps.SymbolPath.CIRCLE,
+      scale: 0, // Invisible icon
+    }
+  }
+
   _removeLabel(id) {
     const label = this._labels.get(id)
     if (label) {
@@ -696,6 +2299,8 @@ export class DrawingManager {
   _getShapeCenter(shape) {
     if (shape.type === 'circle') {
       return shape.center
+    } else if (shape.type === 'marker') {
+      return shape.position
     } else if (shape.type === 'rectangle') {
       const { north, south, east, west } = shape.bounds
       return {
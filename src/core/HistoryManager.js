@@ -7,6 +7,7 @@ export class HistoryManager {
     this.history = []
     this.currentIndex = -1
     this.onChange = options.onChange || null
+    this._batches = [] // Open batches, innermost last: { label, actions }
   }
 
   /**
@@ -14,7 +15,7 @@ export class HistoryManager {
    * @returns {boolean}
    */
   get canUndo() {
-    return this.currentIndex >= 0
+    return this.currentIndex >= 0 && !this.isBatching
   }
 
   /**
@@ -22,7 +23,15 @@ export class HistoryManager {
    * @returns {boolean}
    */
   get canRedo() {
-    return this.currentIndex < this.history.length - 1
+    return this.currentIndex < this.history.length - 1 && !this.isBatching
+  }
+
+  /**
+   * Check if a batch is open
+   * @returns {boolean}
+   */
+  get isBatching() {
+    return this._batches.length > 0
   }
 
   /**
@@ -31,9 +40,21 @@ export class HistoryManager {
    * @param {Function} action.undo - Function to undo the action
    * @param {Function} action.redo - Function to redo the action
    * @param {string} action.type - Action type for debugging
+   * @param {string} [action.label] - Human readable description, e.g. for "Undo <label>"
+   * @param {Array<string>} [action.shapeIds] - IDs of the shapes the action affects
+   * @param {Array<Object>} [action.operations] - Serializable description of the action, see serialize()
+   * @param {number} [action.timestamp] - When the action happened; defaults to now
    * @param {*} [action.data] - Optional data associated with the action
    */
   push(action) {
+    // Inside a batch, collect the action for the batch's single entry
+    if (this.isBatching) {
+      this._batches[this._batches.length - 1].actions.push(action)
+      return
+    }
+
+    action = { label: null, shapeIds: [], timestamp: Date.now(), ...action }
+
     // Remove any future history if we're not at the end
     if (this.currentIndex < this.history.length - 1) {
       this.history = this.history.slice(0, this.currentIndex + 1)
@@ -57,21 +78,12 @@ export class HistoryManager {
    * @returns {boolean} Whether undo was successful
    */
   undo() {
-    if (!this.canUndo) {
+    if (!this.canUndo || !this._undoStep()) {
       return false
     }
 
-    const action = this.history[this.currentIndex]
-    
-    try {
-      action.undo()
-      this.currentIndex--
-      this._notifyChange()
-      return true
-    } catch (error) {
-      console.error('Error during undo:', error)
-      return false
-    }
+    this._notifyChange()
+    return true
   }
 
   /**
@@ -79,30 +91,130 @@ export class HistoryManager {
    * @returns {boolean} Whether redo was successful
    */
   redo() {
-    if (!this.canRedo) {
+    if (!this.canRedo || !this._redoStep()) {
       return false
     }
 
-    this.currentIndex++
-    const action = this.history[this.currentIndex]
+    this._notifyChange()
+    return true
+  }
 
-    try {
-      action.redo()
+  /**
+   * Undo or redo until the entry at index is the last applied one
+   * @param {number} index - Entry index, or -1 to undo everything
+   * @returns {boolean} Whether the target step was reached
+   */
+  goTo(index) {
+    if (this.isBatching || index < -1 || index >= this.history.length) {
+      return false
+    }
+
+    const start = this.currentIndex
+    while (this.currentIndex > index) {
+      if (!this._undoStep()) break
+    }
+    while (this.currentIndex < index) {
+      if (!this._redoStep()) break
+    }
+
+    if (this.currentIndex !== start) {
       this._notifyChange()
-      return true
+    }
+    return this.currentIndex === index
+  }
+
+  /**
+   * Start collecting pushed actions into a single history entry.
+   * Batches nest; inner batches become part of the outermost one
+   * @param {string} [label] - Description of the batch, surfaced in getState()
+   */
+  beginBatch(label) {
+    this._batches.push({ label: label ?? null, actions: [] })
+    this._notifyChange()
+  }
+
+  /**
+   * Close the innermost batch. The outermost batch is recorded as one history entry,
+   * unless nothing was pushed while it was open
+   * @returns {Object|null} The batch action, or null if the batch was empty
+   */
+  endBatch() {
+    const batch = this._batches.pop()
+    if (!batch) return null
+
+    const action = batch.actions.length > 0 ? this._batchAction(batch) : null
+    if (action) {
+      this.push(action)
+    }
+    if (!action || this.isBatching) {
+      this._notifyChange()
+    }
+    return action
+  }
+
+  /**
+   * Close the innermost batch, undoing the actions pushed while it was open
+   */
+  cancelBatch() {
+    const batch = this._batches.pop()
+    if (!batch) return
+
+    for (let i = batch.actions.length - 1; i >= 0; i--) {
+      try {
+        batch.actions[i].undo()
+      } catch (error) {
+        console.error('Error during batch rollback:', error)
+      }
+    }
+    this._notifyChange()
+  }
+
+  /**
+   * Run a function as one batch. If it throws, the actions it pushed are undone
+   * and the error is rethrown. Only the synchronous part of fn is grouped: the batch
+   * closes when fn returns, so edits made while a returned promise is pending,
+   * by fn or by the user, become separate entries
+   * @param {string} label - Description of the batch
+   * @param {Function} fn - Operations to group
+   * @returns {*} Return value of fn
+   */
+  transaction(label, fn) {
+    this.beginBatch(label)
+
+    let result
+    try {
+      result = fn()
     } catch (error) {
-      console.error('Error during redo:', error)
-      this.currentIndex--
-      return false
+      this.cancelBatch()
+      throw error
     }
+
+    this.endBatch()
+    return result
   }
 
   /**
-   * Clear all history
+   * Call a function with every recorded action, including the actions inside batches,
+   * e.g. to rewrite the shape IDs they refer to
+   * @param {Function} fn - (action) => void
+   */
+  updateActions(fn) {
+    const visit = (action) => {
+      fn(action)
+      action.actions?.forEach(visit)
+    }
+    this.history.forEach(visit)
+    this._batches.forEach(batch => batch.actions.forEach(visit))
+    this._notifyChange()
+  }
+
+  /**
+   * Clear all history, discarding open batches
    */
   clear() {
     this.history = []
     this.currentIndex = -1
+    this._batches = []
     this._notifyChange()
   }
 
@@ -111,11 +223,139 @@ export class HistoryManager {
    * @returns {Object}
    */
   getState() {
+    const batch = this._batches[0]
     return {
       canUndo: this.canUndo,
       canRedo: this.canRedo,
       historyLength: this.history.length,
-      currentIndex: this.currentIndex
+      currentIndex: this.currentIndex,
+      undoLabel: this.history[this.currentIndex]?.label ?? null,
+      redoLabel: this.history[this.currentIndex + 1]?.label ?? null,
+      batching: !!batch,
+      batchLabel: batch ? batch.label : null,
+      entries: this.getEntries()
+    }
+  }
+
+  /**
+   * Get the entries' serializable operations, for persisting history.
+   * Entries pushed without operations are included with an empty list
+   * @returns {Object} { currentIndex, entries: [{ type, label, timestamp, shapeIds, operations }] }
+   */
+  serialize() {
+    return {
+      currentIndex: this.currentIndex,
+      entries: this.history.map(({ type, label, timestamp, shapeIds, operations }) => ({
+        type,
+        label,
+        timestamp,
+        shapeIds: [...shapeIds],
+        operations: operations || []
+      }))
+    }
+  }
+
+  /**
+   * Get a description of every history entry, oldest first
+   * @returns {Array<Object>} { index, type, label, timestamp, shapeIds, applied }, where applied
+   *   is false for entries that have been undone and can be redone
+   */
+  getEntries() {
+    return this.history.map((action, index) => ({
+      index,
+      type: action.type,
+      label: action.label,
+      timestamp: action.timestamp,
+      shapeIds: [...action.shapeIds],
+      applied: index <= this.currentIndex
+    }))
+  }
+
+  /**
+   * Undo the entry at currentIndex
+   * @returns {boolean} Whether undo was successful
+   * @private
+   */
+  _undoStep() {
+    const action = this.history[this.currentIndex]
+
+    try {
+      action.undo()
+      this.currentIndex--
+      return true
+    } catch (error) {
+      console.error('Error during undo:', error)
+      return false
+    }
+  }
+
+  /**
+   * Redo the entry after currentIndex
+   * @returns {boolean} Whether redo was successful
+   * @private
+   */
+  _redoStep() {
+    const action = this.history[this.currentIndex + 1]
+
+    try {
+      action.redo()
+      this.currentIndex++
+      return true
+    } catch (error) {
+      console.error('Error during redo:', error)
+      return false
+    }
+  }
+
+  /**
+   * Combine a batch's actions into one action that undoes them in reverse order.
+   * If one of them fails, the ones already applied are reverted before rethrowing,
+   * so the batch is never left half undone or half redone
+   * @param {Object} batch - { label, actions }
+   * @returns {Object}
+   * @private
+   */
+  _batchAction({ label, actions }) {
+    const revert = (done, method) => {
+      for (let i = done.length - 1; i >= 0; i--) {
+        try {
+          done[i][method]()
+        } catch (error) {
+          console.error('Error during batch rollback:', error)
+        }
+      }
+    }
+
+    return {
+      type: 'batch',
+      label,
+      shapeIds: [...new Set(actions.flatMap(action => action.shapeIds || []))],
+      operations: actions.flatMap(action => action.operations || []),
+      actions,
+      undo: () => {
+        const undone = []
+        try {
+          for (let i = actions.length - 1; i >= 0; i--) {
+            actions[i].undo()
+            undone.push(actions[i])
+          }
+        } catch (error) {
+          revert(undone, 'redo')
+          throw error
+        }
+      },
+      redo: () => {
+        const redone = []
+        try {
+          actions.forEach(action => {
+            action.redo()
+            redone.push(action)
+          })
+        } catch (error) {
+          revert(redone, 'undo')
+          throw error
+        }
+      }
     }
   }
 
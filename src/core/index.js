@@ -1,3 +1,3 @@
-export { DrawingManager } from './DrawingManager.js'
+export { DrawingManager, SHAPE_FIELDS } from './DrawingManager.js'
 export { EventBus } from './EventBus.js'
 export { HistoryManager } from './HistoryManager.js'
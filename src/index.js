@@ -6,7 +6,7 @@ export { useShapeStyle } from './composables/useShapeStyle.js'
 export { useDrawingEvents } from './composables/useDrawingEvents.js'
 
 // Core classes (for advanced usage)
-export { DrawingManager } from './core/DrawingManager.js'
+export { DrawingManager, SHAPE_FIELDS } from './core/DrawingManager.js'
 export { EventBus } from './core/EventBus.js'
 export { HistoryManager } from './core/HistoryManager.js'
 
@@ -14,7 +14,10 @@ export { HistoryManager } from './core/HistoryManager.js'
 export { BaseShape, Polygon, Circle, Rectangle, Polyline, createShape } from './shapes/index.js'
 
 // Snapping
-export { SnapEngine } from './snapping/SnapEngine.js'
+export { SnapEngine, SNAP_KINDS } from './snapping/SnapEngine.js'
+
+// Collaboration
+export { SyncSession, InMemoryHub, InMemoryTransport, BroadcastChannelTransport, WebSocketTransport } from './sync/index.js'
 
 // Utilities
 export * from './utils/geometry.js'
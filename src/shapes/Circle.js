@@ -1,4 +1,5 @@
 import { BaseShape } from './BaseShape.js'
+import { computeOffset, MAPS_EARTH_RADIUS } from '../utils/geometry.js'
 
 /**
  * Circle shape for Google Maps
@@ -142,19 +143,10 @@ export class Circle extends BaseShape {
    */
   _getCirclePoints(segments = 36) {
     const points = []
-    const lat = this.center.lat
-    const lng = this.center.lng
-    
-    // Approximate conversion: 1 degree latitude ≈ 111,111 meters
-    const latRadius = this.radius / 111111
-    const lngRadius = this.radius / (111111 * Math.cos(lat * Math.PI / 180))
 
+    // Points of the geodesic circle as Google Maps draws it, counterclockwise from east
     for (let i = 0; i < segments; i++) {
-      const angle = (i / segments) * 2 * Math.PI
-      points.push({
-        lat: lat + latRadius * Math.sin(angle),
-        lng: lng + lngRadius * Math.cos(angle)
-      })
+      points.push(computeOffset(this.center, this.radius, 90 - (i / segments) * 360, MAPS_EARTH_RADIUS))
     }
 
     return points
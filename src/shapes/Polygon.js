@@ -1,16 +1,21 @@
 import { BaseShape } from './BaseShape.js'
-import { calculatePolygonArea, calculatePolygonPerimeter } from '../utils/geometry.js'
+import { calculatePolygonArea, calculatePolygonPerimeter, getEdgesFromCoordinates, isClockwise } from '../utils/geometry.js'
 
 /**
  * Polygon shape for Google Maps
  */
 export class Polygon extends BaseShape {
+  constructor(options = {}) {
+    super(options)
+    this.holes = [] // Interior rings, each an array of {lat, lng}
+  }
+
   get type() {
     return 'polygon'
   }
 
   get area() {
-    return calculatePolygonArea(this.coordinates)
+    return calculatePolygonArea(this.coordinates, this.holes)
   }
 
   get perimeter() {
@@ -20,12 +25,14 @@ export class Polygon extends BaseShape {
   /**
    * Create polygon on the map
    * @param {Array<Object>} coordinates - Array of {lat, lng}
+   * @param {Array<Array<Object>>} [holes=[]] - Interior rings
    */
-  create(coordinates) {
+  create(coordinates, holes = []) {
     this.coordinates = coordinates
+    this.holes = holes
 
     this.googleObject = new google.maps.Polygon({
-      paths: coordinates.map(c => new google.maps.LatLng(c.lat, c.lng)),
+      paths: this._getPaths(),
       map: this.map,
       editable: this.editable,
       draggable: false,
@@ -43,29 +50,29 @@ export class Polygon extends BaseShape {
   _setupListeners() {
     if (!this.googleObject) return
 
-    const path = this.googleObject.getPath()
-
     // Listen for vertex changes
     this._addListener('mouseup', () => {
       this._syncFromGoogleObject()
       this._onUpdate?.()
     })
 
-    // Listen for path changes
-    google.maps.event.addListener(path, 'set_at', () => {
-      this._syncFromGoogleObject()
-      this._onUpdate?.()
-    })
-
-    google.maps.event.addListener(path, 'insert_at', () => {
-      this._syncFromGoogleObject()
-      this._onUpdate?.()
-    })
-
-    google.maps.event.addListener(path, 'remove_at', () => {
-      this._syncFromGoogleObject()
-      this._onUpdate?.()
-    })
+    // Listen for path changes on every ring, holes included
+    for (const path of this.googleObject.getPaths().getArray()) {
+      google.maps.event.addListener(path, 'set_at', () => {
+        this._syncFromGoogleObject()
+        this._onUpdate?.()
+      })
+
+      google.maps.event.addListener(path, 'insert_at', () => {
+        this._syncFromGoogleObject()
+        this._onUpdate?.()
+      })
+
+      google.maps.event.addListener(path, 'remove_at', () => {
+        this._syncFromGoogleObject()
+        this._onUpdate?.()
+      })
+    }
   }
 
   /**
@@ -76,33 +83,78 @@ export class Polygon extends BaseShape {
     this._onUpdate = callback
   }
 
+  /**
+   * Update polygon coordinates and, optionally, its holes
+   * @param {Array<Object>} coordinates
+   * @param {Array<Array<Object>>} [holes]
+   */
+  update(coordinates, holes) {
+    if (holes) this.holes = holes
+    super.update(coordinates)
+  }
+
+  /**
+   * Get edges for snapping, including hole edges
+   * @returns {Array<Object>}
+   */
+  getEdges() {
+    return [
+      ...super.getEdges(),
+      ...this.holes.flatMap(hole => getEdgesFromCoordinates(hole, true))
+    ]
+  }
+
+  /**
+   * Build Google Maps paths, winding holes opposite to the outer ring
+   * @returns {Array<Array<google.maps.LatLng>>}
+   * @private
+   */
+  _getPaths() {
+    const outerClockwise = isClockwise(this.coordinates)
+    return [this.coordinates, ...this.holes.map(h => isClockwise(h) === outerClockwise ? [...h].reverse() : h)]
+      .map(ring => ring.map(c => new google.maps.LatLng(c.lat, c.lng)))
+  }
+
   _syncToGoogleObject() {
     if (this.googleObject) {
-      const path = this.coordinates.map(c => new google.maps.LatLng(c.lat, c.lng))
-      this.googleObject.setPath(path)
+      this.googleObject.setPaths(this._getPaths())
     }
   }
 
   _syncFromGoogleObject() {
     if (this.googleObject) {
-      const path = this.googleObject.getPath()
-      this.coordinates = path.getArray().map(latLng => ({
-        lat: latLng.lat(),
-        lng: latLng.lng()
-      }))
+      const [outer, ...holes] = this.googleObject.getPaths().getArray().map(path =>
+        path.getArray().map(latLng => ({
+          lat: latLng.lat(),
+          lng: latLng.lng()
+        }))
+      )
+      this.coordinates = outer || []
+      this.holes = holes
     }
   }
 
   _getGeoJSONGeometry() {
-    // GeoJSON requires closing the ring
-    const coords = this.coordinates.map(c => [c.lng, c.lat])
-    if (coords.length > 0) {
-      coords.push(coords[0]) // Close the ring
+    // GeoJSON requires closed rings, exterior counterclockwise and holes clockwise
+    const ring = (coordinates, clockwise) => {
+      const ordered = isClockwise(coordinates) === clockwise ? coordinates : [...coordinates].reverse()
+      const coords = ordered.map(c => [c.lng, c.lat])
+      if (coords.length > 0) {
+        coords.push(coords[0]) // Close the ring
+      }
+      return coords
     }
 
     return {
       type: 'Polygon',
-      coordinates: [coords]
+      coordinates: [ring(this.coordinates, false), ...this.holes.map(h => ring(h, true))]
+    }
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      holes: this.holes
     }
   }
 }
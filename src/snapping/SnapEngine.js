@@ -1,24 +1,123 @@
+import { SpatialIndex } from './SpatialIndex.js'
+import { latLngToWorld, distanceLatLng, computeOffset, computeHeading, MAPS_EARTH_RADIUS } from '../utils/geometry.js'
+
+/**
+ * Indicator icons per snap kind
+ */
+const INDICATOR_ICONS = {
+  vertex: {
+    path: 'M -1 -1 L 1 -1 L 1 1 L -1 1 Z',
+    scale: 8,
+    fillColor: '#f59e0b',
+    fillOpacity: 1,
+    strokeColor: '#ffffff',
+    strokeWeight: 3
+  },
+  edge: {
+    path: 'M -1 0 A 1 1 0 1 0 1 0 A 1 1 0 1 0 -1 0',
+    scale: 12,
+    fillColor: '#10b981',
+    fillOpacity: 1,
+    strokeColor: '#ffffff',
+    strokeWeight: 3
+  },
+  midpoint: {
+    path: 'M 0 -1.2 L 1.1 0.8 L -1.1 0.8 Z',
+    scale: 10,
+    fillColor: '#3b82f6',
+    fillOpacity: 1,
+    strokeColor: '#ffffff',
+    strokeWeight: 3
+  },
+  intersection: {
+    path: 'M -1 -1 L 1 1 M 1 -1 L -1 1',
+    scale: 9,
+    strokeColor: '#ef4444',
+    strokeWeight: 4
+  },
+  guide: {
+    path: 'M -1 0 A 1 1 0 1 0 1 0 A 1 1 0 1 0 -1 0',
+    scale: 7,
+    fillColor: '#ec4899',
+    fillOpacity: 1,
+    strokeColor: '#ffffff',
+    strokeWeight: 2
+  },
+  grid: {
+    path: 'M -1 0 L 1 0 M 0 -1 L 0 1',
+    scale: 9,
+    strokeColor: '#8b5cf6',
+    strokeWeight: 4
+  }
+}
+
+const EARTH_RADIUS = 6371000 // meters
+const MAX_GRID_LINES = 200 // per axis; denser grids are not rendered
+const CIRCLE_SEGMENTS = 36 // chords that place a circle in the spatial index
+const CIRCLE_QUADRANTS = ['north', 'east', 'south', 'west']
+
 /**
- * SnapEngine - Handles edge snapping for map drawing
- * Snaps drawing points to edges of existing shapes
+ * Snap target kinds, in priority order
+ */
+export const SNAP_KINDS = ['vertex', 'intersection', 'midpoint', 'edge', 'guide']
+
+/**
+ * SnapEngine - Handles object snapping for map drawing
+ * Snaps drawing points to vertices, edge intersections, edge midpoints and edges of existing shapes
  */
 export class SnapEngine {
   /**
    * @param {Object} options
    * @param {google.maps.Map} options.map - Google Maps instance
-   * @param {number} [options.threshold=15] - Snap threshold in pixels
+   * @param {number} [options.threshold=15] - Edge snap threshold in pixels
+   * @param {number} [options.vertexThreshold=20] - Vertex snap threshold in pixels
    * @param {boolean} [options.showIndicator=true] - Show snap indicator marker
+   * @param {Object} [options.indicator] - Indicator appearance, see setIndicator()
+   * @param {boolean} [options.vertex=true] - Snap to vertices
+   * @param {boolean} [options.edge=true] - Snap to edges
+   * @param {boolean} [options.midpoint=true] - Snap to edge midpoints
+   * @param {boolean} [options.intersection=true] - Snap to crossings between edges of different shapes
+   * @param {boolean} [options.guide=true] - Snap to alignment, parallel and perpendicular guides
+   * @param {number} [options.guideRange=300] - Pixel range of vertices and edges that produce guides
+   * @param {Object} [options.grid] - Grid snapping, see setGrid()
+   * @param {Object} [options.circleTargets] - Extra circle snap points, see setCircleTargets()
+   * @param {Array<string>} [options.types] - Snap only to these shape types, see setFilters()
+   * @param {Function} [options.filter] - Snap target filter, see setFilters()
    */
   constructor(options = {}) {
     this.map = options.map
     this.threshold = options.threshold || 15
+    this.vertexThreshold = options.vertexThreshold || 20
+    this.guideRange = options.guideRange || 300
     this.showIndicator = options.showIndicator !== false
     this.enabled = true
+    this.kinds = Object.fromEntries(SNAP_KINDS.map(kind => [kind, options[kind] !== false]))
     
     this.shapes = new Map() // shapeId -> shape data
+    this._targets = new Map() // shapeId -> cached { edges, vertices }
+    this._dirty = new Set() // Shape IDs whose cached targets need rebuilding
+    this._edgeIndex = new SpatialIndex()
+    this._vertexIndex = new SpatialIndex()
+    this._layers = new Map() // 'layer:<id>' -> reference layer data
+    this.drawingPath = [] // Vertices of the shape currently being drawn
     this.snapMarker = null
+    this._indicatorKind = null
+    this._guideLines = []
+    this.indicator = { icon: null, color: null, size: null, render: null }
+
+    this.grid = { enabled: false, size: 10, origin: null, rotation: 0, overlay: false }
+    this.circleTargets = { center: false, quadrants: false, ...options.circleTargets }
+    this._gridLines = []
+    this._gridListener = null
     
     this._onSnapCallback = null
+
+    this.filters = { types: options.types || null, filter: options.filter || null }
+    this._contextProvider = null
+    this._filterCache = new Map() // Candidate key -> accepted, per query
+
+    if (options.grid) this.setGrid(options.grid)
+    if (options.indicator) this.setIndicator(options.indicator)
   }
 
   /**
@@ -26,6 +125,7 @@ export class SnapEngine {
    */
   enable() {
     this.enabled = true
+    this._updateGridOverlay()
   }
 
   /**
@@ -34,6 +134,7 @@ export class SnapEngine {
   disable() {
     this.enabled = false
     this.hideIndicator()
+    this._updateGridOverlay()
   }
 
   /**
@@ -52,14 +153,122 @@ export class SnapEngine {
     this.threshold = threshold
   }
 
+  /**
+   * Set vertex snap threshold in pixels
+   * @param {number} threshold
+   */
+  setVertexThreshold(threshold) {
+    this.vertexThreshold = threshold
+  }
+
+  /**
+   * Enable or disable a snap target kind
+   * @param {string} kind - One of SNAP_KINDS
+   * @param {boolean} enabled
+   */
+  setKindEnabled(kind, enabled) {
+    if (!SNAP_KINDS.includes(kind)) return
+    this.kinds[kind] = enabled
+  }
+
+  /**
+   * Customise the snap indicator. Each of icon, color and size is either a single value or an
+   * object keyed by snap kind ({ vertex: ..., edge: ... }); kinds left out keep the default.
+   * Properties left undefined keep their current value, null restores the default
+   * @param {Object} options
+   * @param {string|Object} [options.icon] - Icon URL, google.maps.Icon or google.maps.Symbol
+   * @param {string|Object} [options.color] - Fill color of filled symbols, stroke color of line symbols
+   * @param {number|Object} [options.size] - Indicator size in pixels
+   * @param {Function} [options.render] - (snap, map) => void, draws the indicator instead of the
+   *   built-in marker; called with a null snap when the indicator should be hidden
+   */
+  setIndicator(options) {
+    this.hideIndicator()
+    if (options.render !== undefined && this.snapMarker) {
+      this.snapMarker.setMap(null)
+      this.snapMarker = null
+    }
+    for (const key of ['icon', 'color', 'size', 'render']) {
+      if (options[key] !== undefined) this.indicator[key] = options[key]
+    }
+    this._indicatorKind = null
+  }
+
+  /**
+   * Configure grid snapping. Points that don't snap to a shape snap to the nearest grid node,
+   * so the grid works alone (with the other kinds disabled) or combined with object snapping
+   * @param {Object} options
+   * @param {boolean} [options.enabled] - Snap to the grid
+   * @param {number} [options.size] - Cell size in meters
+   * @param {Object} [options.origin] - Grid origin {lat, lng}; defaults to the map center when enabled
+   * @param {number} [options.rotation] - Grid rotation in degrees, clockwise from north
+   * @param {boolean} [options.overlay] - Render the grid lines on the map
+   */
+  setGrid(options) {
+    Object.assign(this.grid, options)
+    if (this.grid.enabled && !this.grid.origin && this.map?.getCenter()) {
+      const center = this.map.getCenter()
+      this.grid.origin = { lat: center.lat(), lng: center.lng() }
+    }
+    this._updateGridOverlay()
+  }
+
+  /**
+   * Choose which points of circles are snap targets besides the circumference.
+   * They snap as vertices, with anchor 'center' or 'north' / 'east' / 'south' / 'west'
+   * @param {Object} options
+   * @param {boolean} [options.center] - Snap to circle centers
+   * @param {boolean} [options.quadrants] - Snap to the north, east, south and west points of circles
+   */
+  setCircleTargets(options) {
+    Object.assign(this.circleTargets, options)
+    this.shapes.forEach((shape, id) => {
+      if (shape.type === 'circle') this._dirty.add(id)
+    })
+  }
+
   /**
    * Register a shape for snapping
    * @param {string} id - Shape ID
-   * @param {string} type - Shape type ('polygon', 'circle', 'rectangle', 'polyline')
-   * @param {google.maps.Polygon|google.maps.Circle|google.maps.Rectangle|google.maps.Polyline} googleObject
+   * @param {string} type - Shape type ('polygon', 'circle', 'rectangle', 'polyline', 'marker')
+   * @param {google.maps.Polygon|google.maps.Circle|google.maps.Rectangle|google.maps.Polyline|google.maps.Marker} googleObject
+   * @param {Object} [options]
+   * @param {boolean} [options.snappable=true] - Whether other points can snap to this shape
+   */
+  addShape(id, type, googleObject, options = {}) {
+    this.shapes.set(id, { id, type, obj: googleObject, snappable: options.snappable !== false })
+    this._dirty.add(id)
+  }
+
+  /**
+   * Restrict which shapes and reference layers can be snapped to.
+   * Properties left undefined keep their current value, null removes the restriction
+   * @param {Object} filters
+   * @param {Array<string>|null} [filters.types] - Snap only to these types; reference layers have type 'reference'
+   * @param {Function|null} [filters.filter] - (candidate, context) => boolean, where candidate is the
+   *   registered shape { id, type, obj, snappable } or { type: 'reference', layerId }, and context
+   *   comes from the context provider
+   */
+  setFilters({ types, filter } = {}) {
+    if (types !== undefined) this.filters.types = types
+    if (filter !== undefined) this.filters.filter = filter
+  }
+
+  /**
+   * Set a function describing the current editing operation, passed to the filter callback
+   * @param {Function|null} provider - () => Object
+   */
+  setContextProvider(provider) {
+    this._contextProvider = provider
+  }
+
+  /**
+   * Mark a shape's geometry as changed so its snap targets are rebuilt on the next query.
+   * Re-registering with addShape does the same
+   * @param {string} id
    */
-  addShape(id, type, googleObject) {
-    this.shapes.set(id, { id, type, obj: googleObject })
+  invalidateShape(id) {
+    if (this.shapes.has(id)) this._dirty.add(id)
   }
 
   /**
@@ -68,90 +277,878 @@ export class SnapEngine {
    */
   removeShape(id) {
     this.shapes.delete(id)
+    this._targets.delete(id)
+    this._dirty.delete(id)
+    this._edgeIndex.remove(id)
+    this._vertexIndex.remove(id)
   }
 
   /**
-   * Clear all shapes
+   * Clear all shapes. Reference layers are kept
    */
   clearShapes() {
-    this.shapes.clear()
+    if (this._layers.size === 0) {
+      this.shapes.clear()
+      this._targets.clear()
+      this._dirty.clear()
+      this._edgeIndex.clear()
+      this._vertexIndex.clear()
+      return
+    }
+    [...this.shapes.keys()].forEach(id => this.removeShape(id))
+  }
+
+  /**
+   * Find shape vertices within a distance of a point, e.g. nodes shared between adjacent shapes
+   * @param {Object} point - {lat, lng}
+   * @param {number} tolerance - Distance in meters
+   * @param {string|Array<string>} [excludeShapeId] - Shape ID or IDs to exclude
+   * @returns {Array<Object>} { shapeId, index, ring, point }
+   */
+  findCoincidentVertices(point, tolerance, excludeShapeId = null) {
+    const world = latLngToWorld(point)
+    // World units per meter shrink towards the equator as 256 spans the parallel's circumference
+    const radius = tolerance * 256 / (2 * Math.PI * EARTH_RADIUS * Math.cos(point.lat * Math.PI / 180))
+    const box = { minX: world.x - radius, minY: world.y - radius, maxX: world.x + radius, maxY: world.y + radius }
+
+    return this._getAllVertices(excludeShapeId, [box], false)
+      .filter(vertex => vertex.shapeId !== null && distanceLatLng(point, vertex.point) <= tolerance)
+      .map(vertex => ({ shapeId: vertex.shapeId, index: vertex.vertexIndex, ring: vertex.ring ?? 0, point: { ...vertex.point } }))
+  }
+
+  /**
+   * Register read-only reference geometry for snapping, e.g. cadastral boundaries.
+   * Reference targets snap like shape targets but report layerId and featureId instead of a shapeId
+   * @param {string} id - Layer ID; registering the same ID again replaces the layer
+   * @param {Object|google.maps.Data|Array} source - GeoJSON (FeatureCollection, Feature or geometry),
+   *   a google.maps.Data layer (kept in sync as features change), or raw paths: an array of {lat, lng}
+   *   or an array of such arrays
+   * @param {Object} [options]
+   * @param {boolean} [options.closed=false] - Treat raw paths as closed rings
+   */
+  addReferenceLayer(id, source, options = {}) {
+    this.removeReferenceLayer(id)
+
+    const key = `layer:${id}`
+    const layer = { id, source, options, listeners: [] }
+    if (this._isDataLayer(source)) {
+      layer.listeners = ['addfeature', 'removefeature', 'setgeometry'].map(event =>
+        source.addListener(event, () => this._dirty.add(key))
+      )
+    }
+
+    this._layers.set(key, layer)
+    this._dirty.add(key)
+  }
+
+  /**
+   * Remove a reference layer
+   * @param {string} id
+   */
+  removeReferenceLayer(id) {
+    const key = `layer:${id}`
+    const layer = this._layers.get(key)
+    if (!layer) return
+
+    layer.listeners.forEach(l => google.maps.event.removeListener(l))
+    this._layers.delete(key)
+    this._targets.delete(key)
+    this._dirty.delete(key)
+    this._edgeIndex.remove(key)
+    this._vertexIndex.remove(key)
+  }
+
+  /**
+   * Get the IDs of registered reference layers
+   * @returns {Array<string>}
+   */
+  getReferenceLayers() {
+    return [...this._layers.values()].map(layer => layer.id)
+  }
+
+  /**
+   * Mark a reference layer as changed so its targets are rebuilt on the next query
+   * @param {string} id
+   */
+  invalidateReferenceLayer(id) {
+    if (this._layers.has(`layer:${id}`)) this._dirty.add(`layer:${id}`)
+  }
+
+  /**
+   * Set the path of the shape being drawn so its earlier vertices become snap targets
+   * @param {Array<Object>} path - Array of {lat, lng}; the last (just placed) point is not a target
+   */
+  setDrawingPath(path) {
+    this.drawingPath = [...path]
+  }
+
+  /**
+   * Clear the in-progress drawing path
+   */
+  clearDrawingPath() {
+    this.drawingPath = []
   }
 
   /**
    * Find snap point for a given position
    * @param {Object} point - Position {lat, lng}
-   * @param {string} [excludeShapeId] - Shape ID to exclude from snapping
-   * @returns {Object|null} Snap result { point, distance, edge } or null
+   * @param {string|Array<string>} [excludeShapeId] - Shape ID or IDs to exclude from snapping
+   * @returns {Object|null} Snap result { point, distance, kind, shapeId, vertexIndex, ring, edge } or null.
+   *   kind is 'vertex' (with vertexIndex), 'intersection' (with edges), 'midpoint' or 'edge' (with edge),
+   *   'guide' (with guides [{ type, from, to, shapeId }]) or 'grid' (with cell {i, j})
    */
   findSnapPoint(point, excludeShapeId = null) {
-    if (!this.enabled || !this.map || this.shapes.size === 0) {
+    const snap = this._query([point], excludeShapeId)
+    this._report(snap)
+    if (!snap) return null
+
+    const { index, ...result } = snap
+    return result
+  }
+
+  /**
+   * Find the best snap among several candidate points, e.g. the vertices of a moving shape
+   * @param {Array<Object>} points - Candidate positions {lat, lng}
+   * @param {string|Array<string>} [excludeShapeId] - Shape ID or IDs to exclude from snapping
+   * @returns {Object|null} Snap result as for findSnapPoint plus index,
+   *   where index is the position in `points` of the candidate that snapped
+   */
+  findBestSnap(points, excludeShapeId = null) {
+    const snap = this._query(points, excludeShapeId)
+    this._report(snap)
+    return snap
+  }
+
+  /**
+   * Find a snap point on the line from anchor through a constrained point, e.g. for angle-constrained drawing
+   * Edge targets resolve to where the line crosses the edge, point targets to their projection onto the line
+   * @param {Object} anchor - Line origin {lat, lng}
+   * @param {Object} through - Constrained point on the line {lat, lng}
+   * @param {string|Array<string>} [excludeShapeId] - Shape ID or IDs to exclude from snapping
+   * @returns {Object|null} Snap result as for findSnapPoint with the point moved onto the line, or null
+   */
+  findSnapOnLine(anchor, through, excludeShapeId = null) {
+    const snap = this._query([through], excludeShapeId)
+    const converter = snap && this._pixelConverter()
+    const constrained = converter ? this._constrainToLine(snap, anchor, through, converter) : null
+    this._report(constrained)
+    if (!constrained) return null
+
+    const { index, ...result } = constrained
+    return result
+  }
+
+  /**
+   * Move a snap result onto the line anchor -> through
+   * @param {Object} snap - Query result
+   * @param {Object} anchor - {lat, lng}
+   * @param {Object} through - {lat, lng}
+   * @param {Object} converter - From _pixelConverter()
+   * @returns {Object|null}
+   * @private
+   */
+  _constrainToLine(snap, anchor, through, converter) {
+    const { toPixel, toLatLng } = converter
+    const a = toPixel(anchor)
+    const b = toPixel(through)
+    const dx = b.x - a.x
+    const dy = b.y - a.y
+    const length = Math.hypot(dx, dy)
+    if (length < 1e-9) return null
+
+    let pixel
+    let threshold = this.vertexThreshold
+    if (snap.kind === 'edge' && snap.edge.circle) {
+      // Where the constraint line crosses the circle, on the side of the constrained point
+      const curves = [this._curve({ edge: null, start: a, end: b }, converter, false), this._curve({ edge: snap.edge }, converter)]
+      const seeds = this._crossingSeeds(curves[0], curves[1])
+        .sort((p, q) => Math.hypot(p.x - b.x, p.y - b.y) - Math.hypot(q.x - b.x, q.y - b.y))
+      pixel = seeds.length > 0 ? this._refineCrossing(seeds[0], curves) : null
+      if (!pixel) return null
+      threshold = this.threshold
+    } else if (snap.kind === 'edge') {
+      // Where the constraint line crosses the snapped edge
+      const s = toPixel(snap.edge.start)
+      const e = toPixel(snap.edge.end)
+      const ex = e.x - s.x
+      const ey = e.y - s.y
+      const denominator = dx * ey - dy * ex
+      if (Math.abs(denominator) < 1e-9) return null
+
+      const u = ((s.x - a.x) * dy - (s.y - a.y) * dx) / denominator
+      if (u < 0 || u > 1) return null
+      pixel = { x: s.x + u * ex, y: s.y + u * ey }
+      threshold = this.threshold
+    } else {
+      // Align with the target along the constraint line
+      const p = toPixel(snap.point)
+      const t = ((p.x - a.x) * dx + (p.y - a.y) * dy) / (length * length)
+      pixel = { x: a.x + t * dx, y: a.y + t * dy }
+    }
+
+    const distance = Math.hypot(pixel.x - b.x, pixel.y - b.y)
+    if (distance > threshold) return null
+
+    return { ...snap, point: toLatLng(pixel), distance, constrained: true }
+  }
+
+  /**
+   * Find the closest snap target for any of the given points
+   * Vertices, then intersections, then midpoints take priority over edges within vertexThreshold,
+   * so corners snap exactly. Guides and then the grid apply only when no shape target is in range
+   * @param {Array<Object>} points - Positions {lat, lng}
+   * @param {string|Array<string>} [excludeShapeId]
+   * @returns {Object|null}
+   * @private
+   */
+  _query(points, excludeShapeId = null) {
+    if (!this.enabled || !this.map || points.length === 0) {
       return null
     }
 
-    const edges = this._getAllEdges(excludeShapeId)
-    if (edges.length === 0) return null
+    const converter = this._pixelConverter()
+    if (!converter) return null
+
+    this._filterCache.clear()
+    return this._queryObjects(points, excludeShapeId, converter) ||
+      this._queryGuides(points, excludeShapeId, converter) ||
+      this._queryGrid(points, converter)
+  }
 
+  /**
+   * Pixel <-> LatLng conversion at the current zoom
+   * @returns {Object|null} { scale, toPixel, worldToPixel, toLatLng } or null before the map has a projection
+   * @private
+   */
+  _pixelConverter() {
     const projection = this.map.getProjection()
     if (!projection) return null
 
-    const zoom = this.map.getZoom()
-    const scale = Math.pow(2, zoom)
-    
-    // Convert point to pixel coordinates
-    const pointWorld = projection.fromLatLngToPoint(
-      new google.maps.LatLng(point.lat, point.lng)
-    )
-    const pointPixel = { x: pointWorld.x * scale, y: pointWorld.y * scale }
+    const scale = Math.pow(2, this.map.getZoom())
+    return {
+      scale,
+      worldToPixel: (world) => ({ x: world.x * scale, y: world.y * scale }),
+      toPixel: (latLng) => {
+        const world = projection.fromLatLngToPoint(new google.maps.LatLng(latLng.lat, latLng.lng))
+        return { x: world.x * scale, y: world.y * scale }
+      },
+      toLatLng: (pixel) => {
+        const latLng = projection.fromPointToLatLng(new google.maps.Point(pixel.x / scale, pixel.y / scale))
+        return { lat: latLng.lat(), lng: latLng.lng() }
+      }
+    }
+  }
+
+  /**
+   * Find the closest shape snap target
+   * @param {Array<Object>} points - Positions {lat, lng}
+   * @param {string} excludeShapeId
+   * @param {Object} converter - From _pixelConverter()
+   * @returns {Object|null}
+   * @private
+   */
+  _queryObjects(points, excludeShapeId, converter) {
+    const { scale, toPixel, worldToPixel, toLatLng } = converter
+    // Only targets within the larger threshold of a query point can snap
+    const pointPixels = points.map(toPixel)
+    const boxes = this._searchBoxes(pointPixels, Math.max(this.threshold, this.vertexThreshold), scale)
+
+    const edges = this._getAllEdges(excludeShapeId, boxes)
+    const vertices = this.kinds.vertex ? this._getAllVertices(excludeShapeId, boxes) : []
+    if (edges.length === 0 && vertices.length === 0) return null
+
+    const edgePixels = edges.map(edge => ({ edge, start: worldToPixel(edge.a), end: worldToPixel(edge.b) }))
+
+    // Point-like targets in priority order; each tier wins over the next within vertexThreshold
+    const tiers = [
+      vertices.map(vertex => ({
+        pixel: worldToPixel(vertex.world),
+        result: {
+          point: { ...vertex.point },
+          kind: 'vertex',
+          shapeId: vertex.shapeId,
+          vertexIndex: vertex.vertexIndex,
+          ring: vertex.ring,
+          ...(vertex.anchor && { anchor: vertex.anchor }),
+          ...this._layerInfo(vertex)
+        }
+      })),
+      this.kinds.intersection ? this._getIntersections(pointPixels, edgePixels, converter).map(({ pixel, edges: pair }) => ({
+        pixel,
+        result: { point: toLatLng(pixel), kind: 'intersection', shapeId: pair[0].shapeId, ...this._layerInfo(pair[0]), edges: pair }
+      })) : [],
+      this.kinds.midpoint ? edgePixels.filter(({ edge }) => !edge.curved).map(({ edge, start, end }) => {
+        const pixel = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 }
+        return { pixel, result: { point: toLatLng(pixel), kind: 'midpoint', shapeId: edge.shapeId, ...this._layerInfo(edge), edge } }
+      }) : []
+    ]
+
+    for (const candidates of tiers) {
+      const snap = this._closestCandidate(pointPixels, candidates, this.vertexThreshold)
+      if (snap) return snap
+    }
+
+    if (!this.kinds.edge) return null
 
     let bestSnap = null
     let minDistance = this.threshold
 
-    for (const edge of edges) {
-      // Convert edge to pixels
-      const startWorld = projection.fromLatLngToPoint(
-        new google.maps.LatLng(edge.start.lat, edge.start.lng)
-      )
-      const endWorld = projection.fromLatLngToPoint(
-        new google.maps.LatLng(edge.end.lat, edge.end.lng)
-      )
-      const startPixel = { x: startWorld.x * scale, y: startWorld.y * scale }
-      const endPixel = { x: endWorld.x * scale, y: endWorld.y * scale }
-
-      // Project point to line segment
-      const projected = this._projectPointToSegment(pointPixel, startPixel, endPixel)
-
-      if (projected.distance < minDistance) {
-        minDistance = projected.distance
-
-        // Convert back to LatLng
-        const projectedWorld = new google.maps.Point(
-          projected.point.x / scale,
-          projected.point.y / scale
-        )
-        const projectedLatLng = projection.fromPointToLatLng(projectedWorld)
-
-        bestSnap = {
-          point: { lat: projectedLatLng.lat(), lng: projectedLatLng.lng() },
-          distance: projected.distance,
-          edge: edge,
-          t: projected.t
+    pointPixels.forEach((pointPixel, index) => {
+      for (const { edge, start, end } of edgePixels) {
+        if (edge.circle) {
+          // The nearest point of the circle itself; each chord only answers for its own arc
+          const nearest = this._nearestOnCircle(edge.circle, pointPixel, converter)
+          if (this._circleSegment(nearest.heading) !== edge.edgeIndex) continue
+
+          const distance = Math.hypot(nearest.pixel.x - pointPixel.x, nearest.pixel.y - pointPixel.y)
+          if (distance < minDistance) {
+            minDistance = distance
+            bestSnap = {
+              point: nearest.point,
+              distance,
+              kind: 'edge',
+              shapeId: edge.shapeId,
+              edge,
+              t: (nearest.heading * CIRCLE_SEGMENTS / 360) % 1,
+              heading: nearest.heading,
+              index
+            }
+          }
+          continue
+        }
+
+        // Project point to line segment
+        const projected = this._projectPointToSegment(pointPixel, start, end)
+
+        if (projected.distance < minDistance) {
+          minDistance = projected.distance
+          bestSnap = {
+            point: toLatLng(projected.point),
+            distance: projected.distance,
+            kind: 'edge',
+            shapeId: edge.shapeId,
+            ...this._layerInfo(edge),
+            edge: edge,
+            t: projected.t,
+            index
+          }
+        }
+      }
+    })
+
+    return bestSnap
+  }
+
+  /**
+   * Snap to the nearest grid node of whichever point is closest to one
+   * @param {Array<Object>} points - Positions {lat, lng}
+   * @param {Object} converter - From _pixelConverter()
+   * @returns {Object|null}
+   * @private
+   */
+  _queryGrid(points, { toPixel }) {
+    if (!this.grid.enabled || !this.grid.origin) return null
+
+    const { size } = this.grid
+    let bestSnap = null
+
+    points.forEach((point, index) => {
+      const local = this._toGridFrame(point)
+      const cell = { i: Math.round(local.x / size), j: Math.round(local.y / size) }
+      const node = this._fromGridFrame({ x: cell.i * size, y: cell.j * size })
+
+      const a = toPixel(point)
+      const b = toPixel(node)
+      const distance = Math.hypot(a.x - b.x, a.y - b.y)
+      if (!bestSnap || distance < bestSnap.distance) {
+        bestSnap = { point: node, distance, kind: 'grid', shapeId: null, cell, index }
+      }
+    })
+
+    return bestSnap
+  }
+
+  /**
+   * Snap to smart guides: horizontal/vertical alignment with nearby vertices, and directions
+   * parallel or perpendicular to nearby edges for the segment being drawn.
+   * Where two guides cross near the cursor, snaps to their crossing
+   * @param {Array<Object>} points - Positions {lat, lng}; guides only apply to a single point
+   * @param {string} excludeShapeId
+   * @param {Object} converter - From _pixelConverter()
+   * @returns {Object|null}
+   * @private
+   */
+  _queryGuides(points, excludeShapeId, { scale, toPixel, worldToPixel, toLatLng }) {
+    if (!this.kinds.guide || points.length !== 1) return null
+
+    const cursor = toPixel(points[0])
+    const boxes = this._searchBoxes([cursor], this.guideRange, scale)
+    const distanceToLine = (origin, dir) => Math.abs((cursor.x - origin.x) * dir.y - (cursor.y - origin.y) * dir.x)
+    const lines = []
+
+    // Alignment with vertices, including the last point of the path being drawn
+    const vertices = this._getAllVertices(excludeShapeId, boxes)
+    const anchor = this.drawingPath[this.drawingPath.length - 1]
+    if (anchor) vertices.push({ point: anchor, shapeId: null, vertexIndex: this.drawingPath.length - 1, world: latLngToWorld(anchor) })
+
+    for (const vertex of vertices) {
+      const origin = worldToPixel(vertex.world)
+      if (Math.hypot(origin.x - cursor.x, origin.y - cursor.y) > this.guideRange) continue
+      for (const [type, dir] of [['vertical', { x: 0, y: 1 }], ['horizontal', { x: 1, y: 0 }]]) {
+        lines.push({ type, origin, dir, distance: distanceToLine(origin, dir), shapeId: vertex.shapeId })
+      }
+    }
+
+    // Parallel / perpendicular to nearby edges, for the segment from the last drawn point
+    const origin = anchor && toPixel(anchor)
+    if (origin && Math.hypot(origin.x - cursor.x, origin.y - cursor.y) > this.vertexThreshold) {
+      const drawnEdges = this.drawingPath.slice(1).map((end, i) => ({
+        start: this.drawingPath[i],
+        end,
+        shapeId: null,
+        a: latLngToWorld(this.drawingPath[i]),
+        b: latLngToWorld(end)
+      }))
+
+      for (const edge of [...this._getAllEdges(excludeShapeId, boxes), ...drawnEdges]) {
+        if (edge.curved) continue
+        const start = worldToPixel(edge.a)
+        const end = worldToPixel(edge.b)
+        const length = Math.hypot(end.x - start.x, end.y - start.y)
+        if (length < 1e-9 || this._projectPointToSegment(cursor, start, end).distance > this.guideRange) continue
+
+        const d = { x: (end.x - start.x) / length, y: (end.y - start.y) / length }
+        for (const [type, dir] of [['parallel', d], ['perpendicular', { x: -d.y, y: d.x }]]) {
+          lines.push({ type, origin, dir, distance: distanceToLine(origin, dir), shapeId: edge.shapeId, edge })
         }
       }
     }
 
-    // Show/hide indicator and trigger callback
-    if (bestSnap) {
-      if (this.showIndicator) {
-        this._showIndicator(bestSnap.point)
+    const candidates = lines.filter(line => line.distance < this.threshold).sort((a, b) => a.distance - b.distance)
+    if (candidates.length === 0) return null
+
+    const [first] = candidates
+    const cross = (a, b) => a.x * b.y - a.y * b.x
+    const along = (cursor.x - first.origin.x) * first.dir.x + (cursor.y - first.origin.y) * first.dir.y
+    let used = [first]
+    let pixel = { x: first.origin.x + along * first.dir.x, y: first.origin.y + along * first.dir.y }
+
+    // Lock onto the crossing with the best non-parallel guide
+    const second = candidates.find(line => Math.abs(cross(line.dir, first.dir)) > 1e-6)
+    if (second) {
+      const t = cross({ x: second.origin.x - first.origin.x, y: second.origin.y - first.origin.y }, second.dir) / cross(first.dir, second.dir)
+      const crossing = { x: first.origin.x + t * first.dir.x, y: first.origin.y + t * first.dir.y }
+      if (Math.hypot(crossing.x - cursor.x, crossing.y - cursor.y) < this.threshold) {
+        pixel = crossing
+        used = [first, second]
       }
-      this._onSnapCallback?.(bestSnap)
+    }
+
+    const point = toLatLng(pixel)
+    return {
+      point,
+      distance: Math.hypot(pixel.x - cursor.x, pixel.y - cursor.y),
+      kind: 'guide',
+      shapeId: first.shapeId,
+      guides: used.map(line => ({ type: line.type, from: toLatLng(line.origin), to: point, shapeId: line.shapeId, edge: line.edge })),
+      index: 0
+    }
+  }
+
+  /**
+   * Convert a position to grid-aligned meters relative to the grid origin
+   * Uses a local flat-earth approximation, accurate at site scale
+   * @param {Object} point - {lat, lng}
+   * @returns {Object} {x, y} in meters along the grid axes
+   * @private
+   */
+  _toGridFrame(point) {
+    const { origin, rotation } = this.grid
+    const metersPerDegree = EARTH_RADIUS * Math.PI / 180
+    const east = (point.lng - origin.lng) * metersPerDegree * Math.cos(origin.lat * Math.PI / 180)
+    const north = (point.lat - origin.lat) * metersPerDegree
+    const theta = rotation * Math.PI / 180
+
+    return {
+      x: east * Math.cos(theta) - north * Math.sin(theta),
+      y: east * Math.sin(theta) + north * Math.cos(theta)
+    }
+  }
+
+  /**
+   * Inverse of _toGridFrame
+   * @param {Object} local - {x, y} in meters along the grid axes
+   * @returns {Object} {lat, lng}
+   * @private
+   */
+  _fromGridFrame(local) {
+    const { origin, rotation } = this.grid
+    const metersPerDegree = EARTH_RADIUS * Math.PI / 180
+    const theta = rotation * Math.PI / 180
+    const east = local.x * Math.cos(theta) + local.y * Math.sin(theta)
+    const north = -local.x * Math.sin(theta) + local.y * Math.cos(theta)
+
+    return {
+      lat: origin.lat + north / metersPerDegree,
+      lng: origin.lng + east / (metersPerDegree * Math.cos(origin.lat * Math.PI / 180))
+    }
+  }
+
+  /**
+   * Show, redraw or remove the grid overlay to match the grid settings
+   * @private
+   */
+  _updateGridOverlay() {
+    const visible = this.enabled && this.grid.enabled && this.grid.overlay && !!this.grid.origin && !!this.map
+
+    if (visible && !this._gridListener) {
+      this._gridListener = this.map.addListener('idle', () => this._drawGridOverlay())
+    } else if (!visible && this._gridListener) {
+      google.maps.event.removeListener(this._gridListener)
+      this._gridListener = null
+    }
+
+    if (visible) {
+      this._drawGridOverlay()
     } else {
-      this.hideIndicator()
+      this._clearGridOverlay()
     }
+  }
+
+  /**
+   * Draw grid lines covering the visible map area
+   * @private
+   */
+  _drawGridOverlay() {
+    this._clearGridOverlay()
+
+    const bounds = this.map.getBounds()
+    if (!bounds) return
+
+    const ne = bounds.getNorthEast()
+    const sw = bounds.getSouthWest()
+    const corners = [
+      { lat: ne.lat(), lng: ne.lng() },
+      { lat: ne.lat(), lng: sw.lng() },
+      { lat: sw.lat(), lng: sw.lng() },
+      { lat: sw.lat(), lng: ne.lng() }
+    ].map(corner => this._toGridFrame(corner))
+
+    const { size } = this.grid
+    const iMin = Math.floor(Math.min(...corners.map(c => c.x)) / size)
+    const iMax = Math.ceil(Math.max(...corners.map(c => c.x)) / size)
+    const jMin = Math.floor(Math.min(...corners.map(c => c.y)) / size)
+    const jMax = Math.ceil(Math.max(...corners.map(c => c.y)) / size)
+
+    // Too dense to be useful at this zoom
+    if (iMax - iMin > MAX_GRID_LINES || jMax - jMin > MAX_GRID_LINES) return
+
+    const line = (from, to) => new google.maps.Polyline({
+      path: [this._fromGridFrame(from), this._fromGridFrame(to)],
+      map: this.map,
+      clickable: false,
+      strokeColor: '#6b7280',
+      strokeOpacity: 0.35,
+      strokeWeight: 1,
+      zIndex: 0
+    })
+
+    for (let i = iMin; i <= iMax; i++) {
+      this._gridLines.push(line({ x: i * size, y: jMin * size }, { x: i * size, y: jMax * size }))
+    }
+    for (let j = jMin; j <= jMax; j++) {
+      this._gridLines.push(line({ x: iMin * size, y: j * size }, { x: iMax * size, y: j * size }))
+    }
+  }
+
+  /**
+   * Remove rendered grid lines
+   * @private
+   */
+  _clearGridOverlay() {
+    this._gridLines.forEach(l => l.setMap(null))
+    this._gridLines = []
+  }
+
+  /**
+   * Find the candidate closest to any of the given points within a threshold
+   * @param {Array<Object>} pointPixels - Query points {x, y}
+   * @param {Array<Object>} candidates - { pixel, result }
+   * @param {number} threshold - Pixels
+   * @returns {Object|null} The candidate's result with distance and index
+   * @private
+   */
+  _closestCandidate(pointPixels, candidates, threshold) {
+    let bestSnap = null
+    let minDistance = threshold
+
+    pointPixels.forEach((pointPixel, index) => {
+      for (const { pixel, result } of candidates) {
+        const distance = Math.hypot(pointPixel.x - pixel.x, pointPixel.y - pixel.y)
+        if (distance < minDistance) {
+          minDistance = distance
+          bestSnap = { ...result, distance, index }
+        }
+      }
+    })
 
     return bestSnap
   }
 
+  /**
+   * Find crossings between edges of different shapes near the query points
+   * @param {Array<Object>} pointPixels - Query points {x, y}
+   * @param {Array<Object>} edgePixels - { edge, start, end }
+   * @param {Object} converter - From _pixelConverter()
+   * @returns {Array<Object>} { pixel, edges: [edgeA, edgeB] }
+   * @private
+   */
+  _getIntersections(pointPixels, edgePixels, converter) {
+    // Only edges passing near a query point can cross within the threshold; a circle counts once
+    const circles = new Set()
+    const nearby = edgePixels.filter((item) => {
+      if (!pointPixels.some(p => this._distanceToEdge(p, item, converter) < this.vertexThreshold)) return false
+      if (!item.edge.circle) return true
+      if (circles.has(item.edge.circle)) return false
+      circles.add(item.edge.circle)
+      return true
+    })
+
+    const intersections = []
+    for (let i = 0; i < nearby.length; i++) {
+      for (let j = i + 1; j < nearby.length; j++) {
+        const a = nearby[i]
+        const b = nearby[j]
+        if (a.edge.shapeId === b.edge.shapeId && a.edge.featureId === b.edge.featureId) continue
+
+        if (a.edge.circle || b.edge.circle) {
+          intersections.push(...this._curveCrossings(a, b, converter))
+          continue
+        }
+
+        const pixel = this._segmentIntersection(a.start, a.end, b.start, b.end)
+        if (pixel) intersections.push({ pixel, edges: [a.edge, b.edge] })
+      }
+    }
+
+    return intersections
+  }
+
+  /**
+   * Distance in pixels from a point to an edge; for circle chords, to the circle itself
+   * @param {Object} pixel - {x, y}
+   * @param {Object} edgePixel - { edge, start, end }
+   * @param {Object} converter - From _pixelConverter()
+   * @returns {number}
+   * @private
+   */
+  _distanceToEdge(pixel, { edge, start, end }, converter) {
+    if (!edge.circle) return this._projectPointToSegment(pixel, start, end).distance
+
+    const nearest = this._nearestOnCircle(edge.circle, pixel, converter).pixel
+    return Math.hypot(nearest.x - pixel.x, nearest.y - pixel.y)
+  }
+
+  /**
+   * Nearest point of a geodesic circle, along the great circle from its center through a pixel
+   * @param {Object} circle - { center, radius } in {lat, lng} and meters
+   * @param {Object} pixel - {x, y}
+   * @param {Object} converter - From _pixelConverter()
+   * @returns {Object} { point, pixel, heading }
+   * @private
+   */
+  _nearestOnCircle(circle, pixel, { toPixel, toLatLng }) {
+    const heading = computeHeading(circle.center, toLatLng(pixel))
+    const point = computeOffset(circle.center, circle.radius, heading, MAPS_EARTH_RADIUS)
+    return { point, pixel: toPixel(point), heading }
+  }
+
+  /**
+   * Index of the circle chord whose arc contains a heading
+   * @param {number} heading - Degrees clockwise from north
+   * @returns {number}
+   * @private
+   */
+  _circleSegment(heading) {
+    return Math.floor(heading * CIRCLE_SEGMENTS / 360) % CIRCLE_SEGMENTS
+  }
+
+  /**
+   * Describe an edge as a curve that points can be projected onto, in pixel coordinates
+   * @param {Object} edgePixel - { edge, start, end }; edge may be null for a plain line
+   * @param {Object} converter - From _pixelConverter()
+   * @param {boolean} [bounded=true] - Whether a line ends at start and end
+   * @returns {Object} { edge, center, radius, project(pixel), contains(pixel), edgeAt(pixel) }
+   * @private
+   */
+  _curve({ edge, start, end }, converter, bounded = true) {
+    if (edge?.circle) {
+      const { circle } = edge
+      const center = converter.toPixel(circle.center)
+      const rim = converter.toPixel(edge.start)
+      const chords = this._targets.get(edge.shapeId)?.edges
+      return {
+        edge,
+        center,
+        radius: Math.hypot(rim.x - center.x, rim.y - center.y),
+        project: (pixel) => this._nearestOnCircle(circle, pixel, converter).pixel,
+        contains: () => true,
+        edgeAt: (pixel) => {
+          const heading = this._nearestOnCircle(circle, pixel, converter).heading
+          return chords?.[this._circleSegment(heading)] || edge
+        }
+      }
+    }
+
+    const dx = end.x - start.x
+    const dy = end.y - start.y
+    const lengthSquared = dx * dx + dy * dy || 1e-12
+    const along = (pixel) => ((pixel.x - start.x) * dx + (pixel.y - start.y) * dy) / lengthSquared
+    return {
+      edge,
+      center: null,
+      start,
+      end,
+      project: (pixel) => {
+        const t = along(pixel)
+        return { x: start.x + t * dx, y: start.y + t * dy }
+      },
+      contains: (pixel) => {
+        const t = along(pixel)
+        return !bounded || (t >= -1e-9 && t <= 1 + 1e-9)
+      },
+      edgeAt: () => edge
+    }
+  }
+
+  /**
+   * Crossings of two edges where at least one belongs to a circle
+   * @param {Object} a - { edge, start, end }
+   * @param {Object} b - { edge, start, end }
+   * @param {Object} converter - From _pixelConverter()
+   * @returns {Array<Object>} { pixel, edges: [edgeA, edgeB] }
+   * @private
+   */
+  _curveCrossings(a, b, converter) {
+    // Project onto circles last, so crossings lie exactly on them
+    const curves = [a, b].map(item => this._curve(item, converter)).sort((p, q) => !!p.center - !!q.center)
+
+    return this._crossingSeeds(curves[0], curves[1])
+      .map(seed => this._refineCrossing(seed, curves))
+      .filter(Boolean)
+      .map(pixel => ({ pixel, edges: curves.map(curve => curve.edgeAt(pixel)) }))
+  }
+
+  /**
+   * Approximate crossings of a line or circle with a circle, treating circles as round in pixel space
+   * @param {Object} a - Curve from _curve()
+   * @param {Object} b - Curve from _curve()
+   * @returns {Array<Object>} {x, y}
+   * @private
+   */
+  _crossingSeeds(a, b) {
+    if (!b.center) [a, b] = [b, a]
+    if (!b.center) return []
+
+    if (!a.center) {
+      // Line through a, circle b
+      const dx = a.end.x - a.start.x
+      const dy = a.end.y - a.start.y
+      const fx = a.start.x - b.center.x
+      const fy = a.start.y - b.center.y
+      const qa = dx * dx + dy * dy
+      const qb = 2 * (fx * dx + fy * dy)
+      const qc = fx * fx + fy * fy - b.radius * b.radius
+      const discriminant = qb * qb - 4 * qa * qc
+      if (qa < 1e-12 || discriminant < 0) return []
+
+      const root = Math.sqrt(discriminant)
+      return [(-qb - root) / (2 * qa), (-qb + root) / (2 * qa)]
+        .map(u => ({ x: a.start.x + u * dx, y: a.start.y + u * dy }))
+    }
+
+    // Two circles
+    const dx = b.center.x - a.center.x
+    const dy = b.center.y - a.center.y
+    const d = Math.hypot(dx, dy)
+    if (d < 1e-9 || d > a.radius + b.radius || d < Math.abs(a.radius - b.radius)) return []
+
+    const along = (a.radius * a.radius - b.radius * b.radius + d * d) / (2 * d)
+    const h = Math.sqrt(Math.max(0, a.radius * a.radius - along * along))
+    const mx = a.center.x + along * dx / d
+    const my = a.center.y + along * dy / d
+    return [
+      { x: mx + h * dy / d, y: my - h * dx / d },
+      { x: mx - h * dy / d, y: my + h * dx / d }
+    ]
+  }
+
+  /**
+   * Converge on the exact crossing of curves from an approximate one by projecting onto each in turn
+   * @param {Object} seed - Approximate crossing {x, y}
+   * @param {Array<Object>} curves - From _curve(); the result lies exactly on the last one
+   * @returns {Object|null} {x, y}, or null if the curves don't cross there
+   * @private
+   */
+  _refineCrossing(seed, curves) {
+    let pixel = seed
+    for (let i = 0; i < 50; i++) {
+      const next = curves.reduce((p, curve) => curve.project(p), pixel)
+      const moved = Math.hypot(next.x - pixel.x, next.y - pixel.y)
+      pixel = next
+      if (moved < 1e-3) break
+    }
+
+    const onAll = curves.every((curve) => {
+      const projected = curve.project(pixel)
+      return Math.hypot(projected.x - pixel.x, projected.y - pixel.y) < 0.01 && curve.contains(pixel)
+    })
+    return onAll ? pixel : null
+  }
+
+  /**
+   * Intersection point of two segments in pixel coordinates
+   * @param {Object} p1 - First segment start {x, y}
+   * @param {Object} p2 - First segment end {x, y}
+   * @param {Object} p3 - Second segment start {x, y}
+   * @param {Object} p4 - Second segment end {x, y}
+   * @returns {Object|null} {x, y} or null if the segments don't cross
+   * @private
+   */
+  _segmentIntersection(p1, p2, p3, p4) {
+    const d1x = p2.x - p1.x
+    const d1y = p2.y - p1.y
+    const d2x = p4.x - p3.x
+    const d2y = p4.y - p3.y
+    const denominator = d1x * d2y - d1y * d2x
+
+    // Parallel or degenerate
+    if (Math.abs(denominator) < 1e-9) return null
+
+    const t = ((p3.x - p1.x) * d2y - (p3.y - p1.y) * d2x) / denominator
+    const u = ((p3.x - p1.x) * d1y - (p3.y - p1.y) * d1x) / denominator
+    if (t < 0 || t > 1 || u < 0 || u > 1) return null
+
+    return { x: p1.x + t * d1x, y: p1.y + t * d1y }
+  }
+
+  /**
+   * Show/hide indicator and trigger callback for a query result
+   * @param {Object|null} snap
+   * @private
+   */
+  _report(snap) {
+    if (snap) {
+      if (this.showIndicator) {
+        this._showIndicator(snap)
+        this._showGuides(snap.guides || [])
+      }
+      this._onSnapCallback?.(snap)
+    } else {
+      this.hideIndicator()
+    }
+  }
+
   /**
    * Set callback for snap events
    * @param {Function} callback
@@ -167,6 +1164,8 @@ export class SnapEngine {
     if (this.snapMarker) {
       this.snapMarker.setVisible(false)
     }
+    this.indicator.render?.(null, this.map)
+    this._showGuides([])
   }
 
   /**
@@ -177,77 +1176,367 @@ export class SnapEngine {
     if (this.snapMarker) {
       this.snapMarker.setMap(null)
       this.snapMarker = null
+      this._indicatorKind = null
+    }
+    if (this._gridListener) {
+      google.maps.event.removeListener(this._gridListener)
+      this._gridListener = null
     }
-    this.shapes.clear()
+    this._clearGridOverlay()
+    this.getReferenceLayers().forEach(id => this.removeReferenceLayer(id))
+    this.clearShapes()
+    this.drawingPath = []
     this._onSnapCallback = null
   }
 
   /**
-   * Get all edges from registered shapes
-   * @param {string} [excludeId] - Shape ID to exclude
+   * Get edges of registered shapes, optionally only those near some boxes
+   * @param {string|Array<string>} [excludeId] - Shape ID or IDs to exclude
+   * @param {Array<Object>} [boxes] - World-coordinate boxes { minX, minY, maxX, maxY } to search
+   * @param {boolean} [filtered=true] - Apply the snapping filters
+   * @returns {Array<Object>} { start, end, shapeId, edgeIndex, ring, curved, circle, a, b } with world coordinates a/b
+   * @private
+   */
+  _getAllEdges(excludeId = null, boxes = null, filtered = true) {
+    this._syncIndex()
+    let edges = boxes
+      ? this._searchIndex(this._edgeIndex, boxes)
+      : [...this._targets.values()].flatMap(targets => targets.edges)
+    if (excludeId !== null) {
+      const excluded = new Set([].concat(excludeId))
+      edges = edges.filter(edge => !excluded.has(edge.shapeId))
+    }
+    return filtered ? edges.filter(edge => this._isSnappable(edge)) : edges
+  }
+
+  /**
+   * Get vertices of registered shapes, optionally only those near some boxes, and of the path being drawn
+   * @param {string|Array<string>} [excludeId] - Shape ID or IDs to exclude
+   * @param {Array<Object>} [boxes] - World-coordinate boxes { minX, minY, maxX, maxY } to search
+   * @param {boolean} [filtered=true] - Apply the snapping filters
+   * @returns {Array<Object>} { point, shapeId, vertexIndex, ring, world }
+   * @private
+   */
+  _getAllVertices(excludeId = null, boxes = null, filtered = true) {
+    this._syncIndex()
+    let vertices = boxes
+      ? this._searchIndex(this._vertexIndex, boxes)
+      : [...this._targets.values()].flatMap(targets => targets.vertices)
+    if (excludeId !== null) {
+      const excluded = new Set([].concat(excludeId))
+      vertices = vertices.filter(vertex => !excluded.has(vertex.shapeId))
+    }
+    if (filtered) vertices = vertices.filter(vertex => this._isSnappable(vertex))
+
+    // Earlier vertices of the shape being drawn; the last one was just placed
+    this.drawingPath.slice(0, -1).forEach((point, i) => {
+      vertices.push({ point: { ...point }, shapeId: null, vertexIndex: i, world: latLngToWorld(point) })
+    })
+
+    return vertices
+  }
+
+  /**
+   * Whether a target's shape or reference layer passes the snapping filters
+   * @param {Object} target - Edge or vertex
+   * @returns {boolean}
+   * @private
+   */
+  _isSnappable(target) {
+    const isLayer = target.layerId !== undefined
+    const key = isLayer ? `layer:${target.layerId}` : target.shapeId
+    if (this._filterCache.has(key)) return this._filterCache.get(key)
+
+    const candidate = isLayer ? { type: 'reference', layerId: target.layerId } : this.shapes.get(target.shapeId)
+    const { types, filter } = this.filters
+    const accepted = !!candidate &&
+      candidate.snappable !== false &&
+      (!types || types.includes(candidate.type)) &&
+      (!filter || !!filter(candidate, this._contextProvider ? this._contextProvider() : null))
+
+    this._filterCache.set(key, accepted)
+    return accepted
+  }
+
+  /**
+   * Search an index with several boxes, without duplicates
+   * @param {SpatialIndex} index
+   * @param {Array<Object>} boxes
+   * @returns {Array<Object>}
+   * @private
+   */
+  _searchIndex(index, boxes) {
+    if (boxes.length === 1) return index.search(boxes[0])
+    return [...new Set(boxes.flatMap(box => index.search(box)))]
+  }
+
+  /**
+   * Square world-coordinate search boxes around pixel positions
+   * @param {Array<Object>} pixels - {x, y}
+   * @param {number} radius - Pixels
+   * @param {number} scale - Pixels per world unit
    * @returns {Array<Object>}
    * @private
    */
-  _getAllEdges(excludeId = null) {
+  _searchBoxes(pixels, radius, scale) {
+    return pixels.map(({ x, y }) => ({
+      minX: (x - radius) / scale,
+      minY: (y - radius) / scale,
+      maxX: (x + radius) / scale,
+      maxY: (y + radius) / scale
+    }))
+  }
+
+  /**
+   * Rebuild the cached targets of shapes registered or changed since the last query
+   * @private
+   */
+  _syncIndex() {
+    for (const key of this._dirty) {
+      let targets = null
+      if (this._layers.has(key)) {
+        targets = this._buildLayerTargets(this._layers.get(key))
+      } else if (this.shapes.has(key)) {
+        targets = this._buildTargets(key, this.shapes.get(key))
+      }
+      if (!targets) continue
+
+      this._targets.set(key, targets)
+      this._edgeIndex.insert(key, targets.edges)
+      this._vertexIndex.insert(key, targets.vertices)
+    }
+    this._dirty.clear()
+  }
+
+  /**
+   * Compute the edges and vertices of a shape, with world coordinates and bounding boxes
+   * @param {string} id
+   * @param {Object} shape - Registered shape data
+   * @returns {Object} { edges, vertices }
+   * @private
+   */
+  _buildTargets(id, shape) {
     const edges = []
+    const vertices = []
+    const toLiteral = (latLng) => ({ lat: latLng.lat(), lng: latLng.lng() })
 
-    for (const [id, shape] of this.shapes) {
-      if (id === excludeId) continue
-
-      if (shape.type === 'polygon') {
-        const path = shape.obj.getPath().getArray()
-        for (let i = 0; i < path.length; i++) {
-          const j = (i + 1) % path.length
-          edges.push({
-            start: { lat: path[i].lat(), lng: path[i].lng() },
-            end: { lat: path[j].lat(), lng: path[j].lng() },
-            shapeId: id
-          })
-        }
-      } else if (shape.type === 'polyline') {
-        const path = shape.obj.getPath().getArray()
-        for (let i = 0; i < path.length - 1; i++) {
-          edges.push({
-            start: { lat: path[i].lat(), lng: path[i].lng() },
-            end: { lat: path[i + 1].lat(), lng: path[i + 1].lng() },
-            shapeId: id
-          })
-        }
-      } else if (shape.type === 'rectangle') {
-        const bounds = shape.obj.getBounds()
-        const ne = bounds.getNorthEast()
-        const sw = bounds.getSouthWest()
-        const nw = { lat: ne.lat(), lng: sw.lng() }
-        const se = { lat: sw.lat(), lng: ne.lng() }
-
-        edges.push(
-          { start: nw, end: { lat: ne.lat(), lng: ne.lng() }, shapeId: id },
-          { start: { lat: ne.lat(), lng: ne.lng() }, end: se, shapeId: id },
-          { start: se, end: { lat: sw.lat(), lng: sw.lng() }, shapeId: id },
-          { start: { lat: sw.lat(), lng: sw.lng() }, end: nw, shapeId: id }
-        )
-      } else if (shape.type === 'circle') {
-        // Approximate circle with segments
-        const center = shape.obj.getCenter()
-        const radius = shape.obj.getRadius()
-        const segments = 36
-        const points = []
-
-        for (let i = 0; i < segments; i++) {
-          const angle = (i / segments) * 2 * Math.PI
-          const lat = center.lat() + (radius / 111111) * Math.sin(angle)
-          const lng = center.lng() + (radius / (111111 * Math.cos(center.lat() * Math.PI / 180))) * Math.cos(angle)
-          points.push({ lat, lng })
-        }
+    if (shape.type === 'polygon') {
+      // Every ring, so hole edges and vertices are snappable too
+      shape.obj.getPaths().getArray().forEach((ring, ringIndex) => {
+        const path = ring.getArray().map(toLiteral)
+        path.forEach((point, i) => {
+          edges.push({ start: point, end: path[(i + 1) % path.length], shapeId: id, edgeIndex: i, ring: ringIndex })
+          vertices.push({ point, shapeId: id, vertexIndex: i, ring: ringIndex })
+        })
+      })
+    } else if (shape.type === 'polyline') {
+      const path = shape.obj.getPath().getArray().map(toLiteral)
+      path.forEach((point, i) => {
+        if (i < path.length - 1) edges.push({ start: point, end: path[i + 1], shapeId: id, edgeIndex: i })
+        vertices.push({ point, shapeId: id, vertexIndex: i })
+      })
+    } else if (shape.type === 'rectangle') {
+      const bounds = shape.obj.getBounds()
+      const ne = bounds.getNorthEast()
+      const sw = bounds.getSouthWest()
+      // Corners in edge order: NW, NE, SE, SW
+      const corners = [
+        { lat: ne.lat(), lng: sw.lng() },
+        toLiteral(ne),
+        { lat: sw.lat(), lng: ne.lng() },
+        toLiteral(sw)
+      ]
+      corners.forEach((point, i) => {
+        edges.push({ start: point, end: corners[(i + 1) % 4], shapeId: id, edgeIndex: i })
+        vertices.push({ point, shapeId: id, vertexIndex: i })
+      })
+    } else if (shape.type === 'circle') {
+      // Chords place the circle in the index; snaps resolve onto the geodesic circle itself.
+      // Chord i spans headings [i, i + 1] * 360 / CIRCLE_SEGMENTS clockwise from north
+      const circle = { center: toLiteral(shape.obj.getCenter()), radius: shape.obj.getRadius() }
+      const step = 360 / CIRCLE_SEGMENTS
+      const points = []
+      for (let i = 0; i < CIRCLE_SEGMENTS; i++) {
+        points.push(computeOffset(circle.center, circle.radius, i * step, MAPS_EARTH_RADIUS))
+      }
 
-        for (let i = 0; i < points.length; i++) {
-          const j = (i + 1) % points.length
-          edges.push({ start: points[i], end: points[j], shapeId: id })
-        }
+      points.forEach((point, i) => {
+        // The arc bulges past its chord; its middle widens the chord's bounding box
+        const bulge = computeOffset(circle.center, circle.radius, (i + 0.5) * step, MAPS_EARTH_RADIUS)
+        edges.push({ start: point, end: points[(i + 1) % CIRCLE_SEGMENTS], shapeId: id, edgeIndex: i, curved: true, circle, bulge })
+      })
+
+      if (this.circleTargets.center) {
+        vertices.push({ point: circle.center, shapeId: id, vertexIndex: null, anchor: 'center' })
       }
+      if (this.circleTargets.quadrants) {
+        CIRCLE_QUADRANTS.forEach((anchor, i) => {
+          vertices.push({ point: points[i * CIRCLE_SEGMENTS / 4], shapeId: id, vertexIndex: i, anchor })
+        })
+      }
+    } else if (shape.type === 'marker') {
+      vertices.push({ point: toLiteral(shape.obj.getPosition()), shapeId: id, vertexIndex: 0 })
     }
 
-    return edges
+    return this._indexable(edges, vertices)
+  }
+
+  /**
+   * Compute the edges and vertices of a reference layer
+   * @param {Object} layer - Registered layer data
+   * @returns {Object} { edges, vertices }
+   * @private
+   */
+  _buildLayerTargets(layer) {
+    const edges = []
+    const vertices = []
+
+    this._readLayerFeatures(layer).forEach(({ featureId, paths, points }) => {
+      const source = { shapeId: null, layerId: layer.id, featureId }
+
+      paths.forEach(({ path, closed }, ring) => {
+        path.forEach((point, i) => {
+          if (closed || i < path.length - 1) {
+            edges.push({ start: point, end: path[(i + 1) % path.length], ...source, edgeIndex: i, ring })
+          }
+          vertices.push({ point, ...source, vertexIndex: i, ring })
+        })
+      })
+      points.forEach((point, i) => vertices.push({ point, ...source, vertexIndex: i }))
+    })
+
+    return this._indexable(edges, vertices)
+  }
+
+  /**
+   * Normalize a reference layer source to features of paths and points
+   * @param {Object} layer
+   * @returns {Array<Object>} { featureId, paths: [{ path, closed }], points }
+   * @private
+   */
+  _readLayerFeatures({ source, options }) {
+    if (this._isDataLayer(source)) {
+      const features = []
+      let index = 0
+      source.forEach(feature => {
+        const geometry = { paths: [], points: [] }
+        this._readDataGeometry(feature.getGeometry(), geometry)
+        features.push({ featureId: feature.getId() ?? index, ...geometry })
+        index++
+      })
+      return features
+    }
+
+    if (Array.isArray(source)) {
+      // Raw paths: one path of {lat, lng} or an array of them
+      const paths = source.length > 0 && Array.isArray(source[0]) ? source : [source]
+      return [{
+        featureId: 0,
+        paths: paths.map(path => ({ path: path.map(p => ({ lat: p.lat, lng: p.lng })), closed: !!options.closed })),
+        points: []
+      }]
+    }
+
+    const features = source.type === 'FeatureCollection' ? source.features : [source]
+    return features.map((feature, index) => {
+      const geometry = { paths: [], points: [] }
+      this._readGeoJSONGeometry(feature.type === 'Feature' ? feature.geometry : feature, geometry)
+      return { featureId: feature.id ?? index, ...geometry }
+    })
+  }
+
+  /**
+   * Collect paths and points of a GeoJSON geometry
+   * @param {Object} geometry - GeoJSON geometry, [lng, lat] positions
+   * @param {Object} out - { paths, points } to append to
+   * @private
+   */
+  _readGeoJSONGeometry(geometry, out) {
+    if (!geometry) return
+    const toLatLng = ([lng, lat]) => ({ lat, lng })
+    // GeoJSON rings repeat their first position at the end
+    const ring = (positions) => ({ path: positions.slice(0, -1).map(toLatLng), closed: true })
+    const line = (positions) => ({ path: positions.map(toLatLng), closed: false })
+
+    switch (geometry.type) {
+      case 'Point': out.points.push(toLatLng(geometry.coordinates)); break
+      case 'MultiPoint': out.points.push(...geometry.coordinates.map(toLatLng)); break
+      case 'LineString': out.paths.push(line(geometry.coordinates)); break
+      case 'MultiLineString': out.paths.push(...geometry.coordinates.map(line)); break
+      case 'Polygon': out.paths.push(...geometry.coordinates.map(ring)); break
+      case 'MultiPolygon': geometry.coordinates.forEach(polygon => out.paths.push(...polygon.map(ring))); break
+      case 'GeometryCollection': geometry.geometries.forEach(g => this._readGeoJSONGeometry(g, out)); break
+    }
+  }
+
+  /**
+   * Collect paths and points of a google.maps.Data geometry
+   * @param {google.maps.Data.Geometry} geometry
+   * @param {Object} out - { paths, points } to append to
+   * @private
+   */
+  _readDataGeometry(geometry, out) {
+    if (!geometry) return
+    const toLiteral = (latLng) => ({ lat: latLng.lat(), lng: latLng.lng() })
+
+    switch (geometry.getType()) {
+      case 'Point': out.points.push(toLiteral(geometry.get())); break
+      case 'MultiPoint': out.points.push(...geometry.getArray().map(toLiteral)); break
+      case 'LineString': out.paths.push({ path: geometry.getArray().map(toLiteral), closed: false }); break
+      case 'LinearRing': out.paths.push({ path: geometry.getArray().map(toLiteral), closed: true }); break
+      default: geometry.getArray().forEach(g => this._readDataGeometry(g, out)) // Multi*, Polygon, GeometryCollection
+    }
+  }
+
+  /**
+   * @param {*} source
+   * @returns {boolean} Whether source is a google.maps.Data layer
+   * @private
+   */
+  _isDataLayer(source) {
+    return typeof google !== 'undefined' && !!google.maps.Data && source instanceof google.maps.Data
+  }
+
+  /**
+   * Reference layer fields of a target, for snap results
+   * @param {Object} target - Edge or vertex
+   * @returns {Object} { layerId, featureId } or {}
+   * @private
+   */
+  _layerInfo(target) {
+    return target.layerId === undefined ? {} : { layerId: target.layerId, featureId: target.featureId }
+  }
+
+  /**
+   * Add world coordinates and bounding boxes to targets for the spatial index
+   * @param {Array<Object>} edges
+   * @param {Array<Object>} vertices
+   * @returns {Object} { edges, vertices }
+   * @private
+   */
+  _indexable(edges, vertices) {
+    edges.forEach(edge => {
+      edge.a = latLngToWorld(edge.start)
+      edge.b = latLngToWorld(edge.end)
+      edge.minX = Math.min(edge.a.x, edge.b.x)
+      edge.minY = Math.min(edge.a.y, edge.b.y)
+      edge.maxX = Math.max(edge.a.x, edge.b.x)
+      edge.maxY = Math.max(edge.a.y, edge.b.y)
+      if (edge.bulge) {
+        const bulge = latLngToWorld(edge.bulge)
+        edge.minX = Math.min(edge.minX, bulge.x)
+        edge.minY = Math.min(edge.minY, bulge.y)
+        edge.maxX = Math.max(edge.maxX, bulge.x)
+        edge.maxY = Math.max(edge.maxY, bulge.y)
+      }
+    })
+    vertices.forEach(vertex => {
+      vertex.world = latLngToWorld(vertex.point)
+      vertex.minX = vertex.maxX = vertex.world.x
+      vertex.minY = vertex.maxY = vertex.world.y
+    })
+
+    return { edges, vertices }
   }
 
   /**
@@ -283,32 +1572,101 @@ export class SnapEngine {
   }
 
   /**
-   * Show snap indicator at position
-   * @param {Object} latLng - {lat, lng}
+   * Draw dashed lines for the active guides, reusing existing polylines
+   * @param {Array<Object>} guides - { from, to }
+   * @private
+   */
+  _showGuides(guides) {
+    while (this._guideLines.length > guides.length) {
+      this._guideLines.pop().setMap(null)
+    }
+
+    guides.forEach((guide, i) => {
+      const path = [guide.from, guide.to]
+      if (this._guideLines[i]) {
+        this._guideLines[i].setPath(path)
+        return
+      }
+      this._guideLines.push(new google.maps.Polyline({
+        path,
+        map: this.map,
+        clickable: false,
+        strokeOpacity: 0,
+        zIndex: 1999,
+        icons: [{
+          icon: { path: 'M 0,-1 0,1', strokeOpacity: 0.9, strokeColor: '#ec4899', scale: 2 },
+          offset: '0',
+          repeat: '10px'
+        }]
+      }))
+    })
+  }
+
+  /**
+   * Show snap indicator for a query result
+   * @param {Object} snap - Query result; its kind selects the indicator icon
    * @private
    */
-  _showIndicator(latLng) {
+  _showIndicator(snap) {
     if (!this.map) return
+    if (this.indicator.render) {
+      this.indicator.render(snap, this.map)
+      return
+    }
+
+    const kind = snap.kind || 'edge'
+    const latLng = snap.point
 
     if (!this.snapMarker) {
       this.snapMarker = new google.maps.Marker({
         map: this.map,
         clickable: false,
-        zIndex: 2000,
-        icon: {
-          path: google.maps.SymbolPath.CIRCLE,
-          scale: 12,
-          fillColor: '#10b981',
-          fillOpacity: 1,
-          strokeColor: '#ffffff',
-          strokeWeight: 3
-        }
+        zIndex: 2000
       })
     }
 
+    if (this._indicatorKind !== kind) {
+      this._indicatorKind = kind
+      this.snapMarker.setIcon(this._indicatorIcon(kind))
+    }
     this.snapMarker.setPosition(new google.maps.LatLng(latLng.lat, latLng.lng))
     this.snapMarker.setVisible(true)
   }
+
+  /**
+   * Resolve the indicator icon for a snap kind, applying the configured icon, color and size
+   * @param {string} kind
+   * @returns {string|Object}
+   * @private
+   */
+  _indicatorIcon(kind) {
+    const forKind = (value) => {
+      const keyed = value && typeof value === 'object' && !value.path && !value.url
+      return keyed ? value[kind] : value
+    }
+    const icon = forKind(this.indicator.icon) || INDICATOR_ICONS[kind] || INDICATOR_ICONS.edge
+    const color = forKind(this.indicator.color)
+    const size = forKind(this.indicator.size)
+
+    if (typeof icon === 'string' || icon.url) {
+      const base = typeof icon === 'string' ? { url: icon } : icon
+      if (!size) return base
+      return {
+        ...base,
+        scaledSize: new google.maps.Size(size, size),
+        anchor: new google.maps.Point(size / 2, size / 2)
+      }
+    }
+
+    // Symbol paths span two units, so the scale is half the size in pixels
+    const symbol = { ...icon }
+    if (color) {
+      if (symbol.fillOpacity) symbol.fillColor = color
+      else symbol.strokeColor = color
+    }
+    if (size) symbol.scale = size / 2
+    return symbol
+  }
 }
 
 export default SnapEngine
@@ -0,0 +1,174 @@
+/**
+ * SpatialIndex - Bounding-box index for snap targets
+ * A packed R-tree (Sort-Tile-Recursive) over items grouped by key. Updates are incremental:
+ * re-inserted or removed keys are masked out of the tree and their new items kept in a
+ * small pending set, which is merged into a rebuilt tree once it grows large enough
+ */
+export class SpatialIndex {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.nodeSize=16] - Maximum children per tree node
+   */
+  constructor(options = {}) {
+    this.nodeSize = options.nodeSize || 16
+
+    this._items = new Map() // key -> entries
+    this._tree = null
+    this._treeKeys = new Set() // Keys whose entries were in the last build
+    this._treeSize = 0
+    this._stale = new Set() // Tree keys whose entries are outdated
+    this._pending = new Set() // Keys inserted since the last build
+    this._pendingSize = 0
+  }
+
+  /**
+   * Number of indexed items
+   * @returns {number}
+   */
+  get size() {
+    let size = 0
+    for (const entries of this._items.values()) size += entries.length
+    return size
+  }
+
+  /**
+   * Index the items of a key, replacing any previous items of that key
+   * @param {string} key - e.g. shape ID
+   * @param {Array<Object>} items - Objects with minX, minY, maxX, maxY
+   */
+  insert(key, items) {
+    this.remove(key)
+    const entries = items.map(item => ({ minX: item.minX, minY: item.minY, maxX: item.maxX, maxY: item.maxY, key, item }))
+    this._items.set(key, entries)
+    this._pending.add(key)
+    this._pendingSize += entries.length
+  }
+
+  /**
+   * Remove all items of a key
+   * @param {string} key
+   */
+  remove(key) {
+    const entries = this._items.get(key)
+    if (!entries) return
+
+    this._items.delete(key)
+    if (this._pending.delete(key)) this._pendingSize -= entries.length
+    if (this._treeKeys.has(key)) this._stale.add(key)
+  }
+
+  /**
+   * Remove all items
+   */
+  clear() {
+    this._items.clear()
+    this._tree = null
+    this._treeKeys.clear()
+    this._treeSize = 0
+    this._stale.clear()
+    this._pending.clear()
+    this._pendingSize = 0
+  }
+
+  /**
+   * Find items whose bounding box intersects a box
+   * @param {Object} box - { minX, minY, maxX, maxY }
+   * @returns {Array<Object>} Matching items
+   */
+  search(box) {
+    this._maybeRebuild()
+
+    const result = []
+    const intersects = (node) =>
+      node.minX <= box.maxX && node.maxX >= box.minX && node.minY <= box.maxY && node.maxY >= box.minY
+
+    const stack = this._tree ? [this._tree] : []
+    while (stack.length > 0) {
+      const node = stack.pop()
+      for (const child of node.children) {
+        if (!intersects(child)) continue
+        if (!node.leaf) {
+          stack.push(child)
+        } else if (!this._stale.has(child.key)) {
+          result.push(child.item)
+        }
+      }
+    }
+
+    for (const key of this._pending) {
+      for (const entry of this._items.get(key)) {
+        if (intersects(entry)) result.push(entry.item)
+      }
+    }
+
+    return result
+  }
+
+  /**
+   * Rebuild the tree once pending or stale items make up a sizeable part of it
+   * @private
+   */
+  _maybeRebuild() {
+    const limit = Math.max(256, this._treeSize / 4)
+    if (this._pendingSize <= limit && this._stale.size <= Math.max(16, this._treeKeys.size / 4)) return
+
+    const entries = []
+    for (const list of this._items.values()) entries.push(...list)
+
+    this._tree = this._pack(entries)
+    this._treeKeys = new Set(this._items.keys())
+    this._treeSize = entries.length
+    this._stale.clear()
+    this._pending.clear()
+    this._pendingSize = 0
+  }
+
+  /**
+   * Bulk-load entries into a tree with Sort-Tile-Recursive packing
+   * @param {Array<Object>} entries
+   * @returns {Object|null} Root node
+   * @private
+   */
+  _pack(entries) {
+    if (entries.length === 0) return null
+
+    let nodes = entries
+    let leaf = true
+    for (;;) {
+      const parents = []
+      const stripSize = Math.ceil(Math.sqrt(Math.ceil(nodes.length / this.nodeSize))) * this.nodeSize
+
+      nodes.sort((a, b) => (a.minX + a.maxX) - (b.minX + b.maxX))
+      for (let i = 0; i < nodes.length; i += stripSize) {
+        const strip = nodes.slice(i, i + stripSize).sort((a, b) => (a.minY + a.maxY) - (b.minY + b.maxY))
+        for (let j = 0; j < strip.length; j += this.nodeSize) {
+          parents.push(this._node(strip.slice(j, j + this.nodeSize), leaf))
+        }
+      }
+
+      if (parents.length === 1) return parents[0]
+      nodes = parents
+      leaf = false
+    }
+  }
+
+  /**
+   * Create a node bounding its children
+   * @param {Array<Object>} children
+   * @param {boolean} leaf - Whether the children are entries
+   * @returns {Object}
+   * @private
+   */
+  _node(children, leaf) {
+    const node = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity, children, leaf }
+    for (const child of children) {
+      node.minX = Math.min(node.minX, child.minX)
+      node.minY = Math.min(node.minY, child.minY)
+      node.maxX = Math.max(node.maxX, child.maxX)
+      node.maxY = Math.max(node.maxY, child.maxY)
+    }
+    return node
+  }
+}
+
+export default SpatialIndex
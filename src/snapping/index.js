@@ -1 +1,2 @@
-export { SnapEngine } from './SnapEngine.js'
+export { SnapEngine, SNAP_KINDS } from './SnapEngine.js'
+export { SpatialIndex } from './SpatialIndex.js'
@@ -0,0 +1,351 @@
+import { EventBus } from '../core/EventBus.js'
+import { SHAPE_FIELDS } from '../core/DrawingManager.js'
+
+// Registers kept per shape: whether it exists, then each field group
+const FIELDS = ['exists', ...Object.keys(SHAPE_FIELDS)]
+const COLORS = ['#ef4444', '#3b82f6', '#10b981', '#f97316', '#8b5cf6', '#ec4899', '#14b8a6', '#eab308']
+const CURSOR_PATH = 'M 0 0 L 0 16 L 4.5 12 L 11 12 Z'
+
+/**
+ * SyncSession - Shares the shapes of a DrawingManager with other users over a transport
+ *
+ * Each field group of a shape (see SHAPE_FIELDS) is a last-writer-wins register stamped
+ * with a Lamport clock and user id, so concurrent edits to different parts of a shape
+ * both survive and every peer settles on the same state. Remote changes are applied
+ * without touching local history, so undo only reverts the user's own steps.
+ */
+export class SyncSession {
+  /**
+   * @param {DrawingManager} manager - Manager whose shapes are shared
+   * @param {Object} options
+   * @param {Object} options.transport - Object with send, subscribe and close, see transports.js
+   * @param {string} [options.userId] - Unique id of this user, random by default
+   * @param {string} [options.name] - Name shown next to the cursor
+   * @param {string} [options.color] - Cursor and selection color, picked from the user id by default
+   */
+  constructor(manager, options = {}) {
+    if (!options.transport) throw new Error('SyncSession requires a transport')
+
+    this.manager = manager
+    this.map = manager.map
+    this.transport = options.transport
+    this.userId = String(options.userId || Math.random().toString(36).slice(2, 10))
+    this.name = options.name || this.userId
+    this.color = options.color || COLORS[[...this.userId].reduce((h, c) => (h * 31 + c.charCodeAt(0)) >>> 0, 0) % COLORS.length]
+    this.options = {
+      cursors: true,
+      selections: true,
+      presenceInterval: 50, // ms between cursor updates
+      heartbeat: 5000, // ms between presence updates while idle
+      presenceTimeout: 15000, // ms of silence before a peer is dropped
+      ...options
+    }
+
+    this.peers = new Map()
+    this.events = new EventBus()
+    this._clock = 0
+    this._registers = new Map() // shapeId -> { exists, state, stamps: { [field]: { clock, userId } } }
+    this._cursor = null
+    this._presenceTimer = null
+
+    // Ids of shapes drawn by different users must not collide
+    this._idPrefix = manager.options.idPrefix
+    manager.options.idPrefix = `${this._idPrefix}_${this.userId}`
+
+    // Shapes drawn before joining are shared like new ones, under ids of this user
+    manager.renameShapeIds(id => this._isUnsharedId(id))
+    manager.getShapes().forEach(shape => this._stamp(shape.id, manager.getShapeState(shape.id)))
+
+    this._unsubscribe = this.transport.subscribe((message) => this._receive(message))
+    this._managerListeners = [
+      manager.on('history:operations', (e) => this._onOperations(e)),
+      manager.on('history:imported', () => this._onImported()),
+      manager.on('shape:selected', () => this._sendPresence()),
+      manager.on('shape:deselected', () => this._sendPresence()),
+      manager.on('shape:created', (d) => this._refreshSelections(d.shape.id)),
+      manager.on('shape:updated', (d) => this._refreshSelections(d.shape.id)),
+      manager.on('shape:deleted', (d) => this._refreshSelections(d.id)),
+      manager.on('shapes:cleared', () => this._refreshSelections())
+    ]
+    this._mapListeners = [
+      this.map.addListener('mousemove', (e) => this._moveCursor({ lat: e.latLng.lat(), lng: e.latLng.lng() })),
+      this.map.addListener('mouseout', () => this._moveCursor(null))
+    ]
+    this._heartbeat = setInterval(() => {
+      this._sendPresence()
+      this._expirePeers()
+    }, this.options.heartbeat)
+
+    this._send({ kind: 'hello', ...this._presence(), shapes: this._dump() })
+  }
+
+  /**
+   * Get the connected users
+   * @returns {Array<{userId, name, color, cursor, selection}>}
+   */
+  getPeers() {
+    return [...this.peers.values()].map(peer => this._peerData(peer))
+  }
+
+  /**
+   * Subscribe to peer:join, peer:update, peer:leave or remote:change
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, cb) { return this.events.on(event, cb) }
+  off(event, cb) { this.events.off(event, cb) }
+
+  /**
+   * Leave the session; the transport stays open for its owner to close
+   */
+  destroy() {
+    this._send({ kind: 'bye' })
+    clearInterval(this._heartbeat)
+    clearTimeout(this._presenceTimer)
+    this._unsubscribe()
+    this._managerListeners.forEach(off => off())
+    this._mapListeners.forEach(l => l.remove())
+    this.peers.forEach(peer => this._clearPeer(peer))
+    this.peers.clear()
+    this.manager.options.idPrefix = this._idPrefix
+    this.events.clear()
+  }
+
+  // ==================== SHAPES ====================
+
+  _onOperations({ direction, operations }) {
+    // Done steps carry their result; undo and redo may have kept others' changes, so read them back
+    const states = new Map()
+    operations.forEach(op => states.set(op.shapeId, direction === 'do' ? op.after : this.manager.getShapeState(op.shapeId)))
+    states.forEach((state, id) => {
+      if (state && direction !== 'do') states.set(id, this._keepRemoteEdits(id, state))
+    })
+
+    const changes = [...states].map(([id, state]) => this._stamp(id, state)).filter(Boolean)
+    if (changes.length > 0) this._send({ kind: 'changes', changes })
+  }
+
+  _onImported() {
+    // An imported session replaces every shape: share the new ones and delete the rest
+    this.manager.renameShapeIds(id => this._isUnsharedId(id))
+    const ids = new Set([...this._registers.keys(), ...this.manager.getShapes().map(shape => shape.id)])
+    const changes = [...ids].map(id => this._stamp(id, this.manager.getShapeState(id))).filter(Boolean)
+    if (changes.length > 0) this._send({ kind: 'changes', changes })
+  }
+
+  _keepRemoteEdits(id, state) {
+    // Undoing a deletion brings back the shape as this user left it; edits others made
+    // after the deletion must survive, so they are put back on the restored shape
+    const register = this._registers.get(id)
+    if (!register || register.exists || !register.state) return state
+
+    const deletedAt = register.stamps.exists
+    const fields = Object.keys(SHAPE_FIELDS).filter(field => register.stamps[field] && this._isNewer(register.stamps[field], deletedAt))
+    if (fields.length === 0) return state
+
+    const kept = { ...state }
+    fields.forEach(field => SHAPE_FIELDS[field].forEach(key => { kept[key] = register.state[key] }))
+    this.manager.applyShapeState(id, kept)
+    return this.manager.getShapeState(id)
+  }
+
+  _isUnsharedId(id) {
+    // Ids made without a session, e.g. `shape_3`, can exist on every peer
+    const prefix = `${this._idPrefix}_`
+    return id.startsWith(prefix) && /^\d+$/.test(id.slice(prefix.length))
+  }
+
+  _stamp(id, state) {
+    // Take a local state, stamping the registers it changed
+    const register = this._registers.get(id) || { exists: false, state: null, stamps: {} }
+    const changed = FIELDS.filter(field => {
+      if (field === 'exists') return register.exists !== !!state
+      // Deleting keeps the last values, so a concurrent undo can bring them back
+      if (!state) return false
+      return !register.state || this._pick(field, register.state) !== this._pick(field, state)
+    })
+    if (changed.length === 0) return null
+
+    const stamp = { clock: ++this._clock, userId: this.userId }
+    changed.forEach(field => { register.stamps[field] = stamp })
+    register.exists = !!state
+    if (state) register.state = state
+    this._registers.set(id, register)
+    return { shapeId: id, ...register }
+  }
+
+  _merge(change) {
+    // Take every register of a remote change that is newer than ours; returns true if any was
+    const register = this._registers.get(change.shapeId) || { exists: false, state: null, stamps: {} }
+    const state = { ...(register.state || change.state) }
+    let taken = false
+
+    FIELDS.forEach(field => {
+      const stamp = change.stamps[field]
+      if (!stamp || !this._isNewer(stamp, register.stamps[field])) return
+      this._clock = Math.max(this._clock, stamp.clock)
+      register.stamps[field] = stamp
+      if (field === 'exists') {
+        register.exists = change.exists
+      } else if (change.state) {
+        SHAPE_FIELDS[field].forEach(key => { state[key] = change.state[key] })
+      }
+      taken = true
+    })
+    if (!taken) return false
+
+    register.state = state
+    this._registers.set(change.shapeId, register)
+    this.manager.applyShapeState(change.shapeId, register.exists && state.type ? state : null)
+    return true
+  }
+
+  _applyChanges(userId, changes) {
+    const shapeIds = changes.filter(change => this._merge(change)).map(change => change.shapeId)
+    if (shapeIds.length > 0) this.events.emit('remote:change', { userId, shapeIds })
+  }
+
+  _dump() {
+    return [...this._registers].map(([shapeId, register]) => ({ shapeId, ...register }))
+  }
+
+  _isNewer(a, b) {
+    // Ties between users are broken by id, so every peer picks the same winner
+    return !b || a.clock > b.clock || (a.clock === b.clock && a.userId > b.userId)
+  }
+
+  _pick(field, state) {
+    return JSON.stringify(SHAPE_FIELDS[field].map(key => state[key] ?? null))
+  }
+
+  // ==================== MESSAGES ====================
+
+  _send(message) {
+    this.transport.send({ ...message, userId: this.userId })
+  }
+
+  _receive(message) {
+    if (!message || message.userId === this.userId) return
+    if (message.to && message.to !== this.userId) return
+
+    if (message.kind === 'bye') return this._removePeer(message.userId)
+    this._updatePeer(message)
+
+    if (message.kind === 'hello') {
+      this._applyChanges(message.userId, message.shapes)
+      this._send({ kind: 'state', to: message.userId, ...this._presence(), shapes: this._dump() })
+    } else if (message.kind === 'state') {
+      this._applyChanges(message.userId, message.shapes)
+    } else if (message.kind === 'changes') {
+      this._applyChanges(message.userId, message.changes)
+    }
+  }
+
+  // ==================== PRESENCE ====================
+
+  _presence() {
+    return { name: this.name, color: this.color, cursor: this._cursor, selection: this.manager.selectedShapeId }
+  }
+
+  _sendPresence() {
+    clearTimeout(this._presenceTimer)
+    this._presenceTimer = null
+    this._send({ kind: 'presence', ...this._presence() })
+  }
+
+  _moveCursor(latLng) {
+    // Throttled, the last position is sent when the interval ends
+    this._cursor = latLng
+    if (this._presenceTimer) return
+    this._presenceTimer = setTimeout(() => this._sendPresence(), this.options.presenceInterval)
+  }
+
+  _updatePeer(message) {
+    if (message.name === undefined) return
+    const known = this.peers.get(message.userId)
+    const peer = known || { userId: message.userId, cursorMarker: null, selectionOverlay: null }
+    const selectionChanged = peer.selection !== message.selection
+
+    Object.assign(peer, { name: message.name, color: message.color, cursor: message.cursor, selection: message.selection, lastSeen: Date.now() })
+    this.peers.set(peer.userId, peer)
+    this._renderCursor(peer)
+    if (selectionChanged) this._renderSelection(peer)
+    this.events.emit(known ? 'peer:update' : 'peer:join', { peer: this._peerData(peer) })
+  }
+
+  _removePeer(userId) {
+    const peer = this.peers.get(userId)
+    if (!peer) return
+    this._clearPeer(peer)
+    this.peers.delete(userId)
+    this.events.emit('peer:leave', { peer: this._peerData(peer) })
+  }
+
+  _expirePeers() {
+    const now = Date.now()
+    this.peers.forEach(peer => {
+      if (now - peer.lastSeen > this.options.presenceTimeout) this._removePeer(peer.userId)
+    })
+  }
+
+  _clearPeer(peer) {
+    peer.cursorMarker?.setMap(null)
+    peer.selectionOverlay?.setMap(null)
+    peer.cursorMarker = null
+    peer.selectionOverlay = null
+  }
+
+  _peerData({ userId, name, color, cursor, selection }) {
+    return { userId, name, color, cursor, selection }
+  }
+
+  _renderCursor(peer) {
+    if (!this.options.cursors || !peer.cursor) {
+      peer.cursorMarker?.setMap(null)
+      peer.cursorMarker = null
+      return
+    }
+    if (!peer.cursorMarker) {
+      peer.cursorMarker = new google.maps.Marker({ map: this.map, clickable: false, zIndex: 1000 })
+    }
+    peer.cursorMarker.setOptions({
+      position: peer.cursor,
+      icon: { path: CURSOR_PATH, fillColor: peer.color, fillOpacity: 1, strokeColor: '#ffffff', strokeWeight: 1, scale: 1, labelOrigin: new google.maps.Point(12, 24) },
+      label: { text: peer.name, color: peer.color, fontSize: '11px', fontWeight: 'bold' }
+    })
+  }
+
+  _renderSelection(peer) {
+    peer.selectionOverlay?.setMap(null)
+    peer.selectionOverlay = null
+    const shape = this.options.selections && peer.selection && this.manager.getShapeById(peer.selection)
+    if (!shape) return
+
+    // Outline only, so the shape stays visible and clickable underneath
+    const style = { map: this.map, strokeColor: peer.color, strokeWeight: 4, strokeOpacity: 0.9, fillOpacity: 0, clickable: false, zIndex: 999 }
+    if (shape.type === 'polygon') {
+      peer.selectionOverlay = new google.maps.Polygon({ paths: [shape.path, ...(shape.holes || [])], ...style })
+    } else if (shape.type === 'polyline') {
+      peer.selectionOverlay = new google.maps.Polyline({ path: shape.path, ...style })
+    } else if (shape.type === 'circle') {
+      peer.selectionOverlay = new google.maps.Circle({ center: shape.center, radius: shape.radius, ...style })
+    } else if (shape.type === 'rectangle') {
+      peer.selectionOverlay = new google.maps.Rectangle({ bounds: shape.bounds, ...style })
+    } else if (shape.type === 'marker') {
+      peer.selectionOverlay = new google.maps.Marker({
+        position: shape.position,
+        map: this.map,
+        clickable: false,
+        zIndex: 999,
+        icon: { path: google.maps.SymbolPath.CIRCLE, scale: 14, strokeColor: peer.color, strokeWeight: 3, fillOpacity: 0 }
+      })
+    }
+  }
+
+  _refreshSelections(id) {
+    this.peers.forEach(peer => {
+      if (peer.selection && (id === undefined || peer.selection === id)) this._renderSelection(peer)
+    })
+  }
+}
+
+export default SyncSession
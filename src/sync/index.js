@@ -0,0 +1,2 @@
+export { SyncSession } from './SyncSession.js'
+export { InMemoryHub, InMemoryTransport, BroadcastChannelTransport, WebSocketTransport } from './transports.js'
@@ -0,0 +1,158 @@
+/**
+ * Sync transports - Carry SyncSession messages between users
+ *
+ * Any object with these methods can be used as a transport:
+ *   send(message)       - Deliver a JSON-safe message to every other peer
+ *   subscribe(callback) - Receive messages from other peers, returns an unsubscribe function
+ *   close()             - Stop sending and receiving
+ */
+
+/**
+ * InMemoryHub - Connects transports within one page, e.g. for tests or demos
+ */
+export class InMemoryHub {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.queue=false] - Hold messages until flush(), e.g. to simulate concurrent edits
+   */
+  constructor(options = {}) {
+    this.transports = new Set()
+    this.queue = options.queue ? [] : null
+  }
+
+  /**
+   * Create a transport connected to every other transport of this hub
+   * @returns {InMemoryTransport}
+   */
+  createTransport() {
+    const transport = new InMemoryTransport(this)
+    this.transports.add(transport)
+    return transport
+  }
+
+  /**
+   * Deliver queued messages in the order they were sent, including ones sent while flushing
+   */
+  flush() {
+    while (this.queue?.length > 0) {
+      const [sender, data] = this.queue.shift()
+      this._deliver(sender, data)
+    }
+  }
+
+  _broadcast(sender, message) {
+    // Round-trip through JSON like a network would, so peers never share objects
+    const data = JSON.stringify(message)
+    if (this.queue) {
+      this.queue.push([sender, data])
+    } else {
+      this._deliver(sender, data)
+    }
+  }
+
+  _deliver(sender, data) {
+    this.transports.forEach(transport => {
+      if (transport !== sender) transport._deliver(JSON.parse(data))
+    })
+  }
+}
+
+export class InMemoryTransport {
+  constructor(hub) {
+    this.hub = hub
+    this.listeners = new Set()
+  }
+
+  send(message) {
+    this.hub._broadcast(this, message)
+  }
+
+  subscribe(callback) {
+    this.listeners.add(callback)
+    return () => this.listeners.delete(callback)
+  }
+
+  close() {
+    this.hub.transports.delete(this)
+    this.listeners.clear()
+  }
+
+  _deliver(message) {
+    this.listeners.forEach(callback => callback(message))
+  }
+}
+
+/**
+ * BroadcastChannelTransport - Syncs tabs and windows of the same origin
+ */
+export class BroadcastChannelTransport {
+  /**
+   * @param {string} [name] - Channel name, peers must use the same one
+   */
+  constructor(name = 'vue-map-drawing') {
+    this.channel = new BroadcastChannel(name)
+  }
+
+  send(message) {
+    this.channel.postMessage(message)
+  }
+
+  subscribe(callback) {
+    const listener = (e) => callback(e.data)
+    this.channel.addEventListener('message', listener)
+    return () => this.channel.removeEventListener('message', listener)
+  }
+
+  close() {
+    this.channel.close()
+  }
+}
+
+/**
+ * WebSocketTransport - Syncs through a server that relays each message to the other clients
+ */
+export class WebSocketTransport {
+  /**
+   * @param {string|WebSocket} socket - Server URL or an existing WebSocket
+   * @param {string|string[]} [protocols] - Subprotocols when a URL is given
+   */
+  constructor(socket, protocols) {
+    this.socket = typeof socket === 'string' ? new WebSocket(socket, protocols) : socket
+    this._queue = [] // Messages sent before the socket opened
+    this._onOpen = () => {
+      this._queue.forEach(data => this.socket.send(data))
+      this._queue = []
+    }
+    this.socket.addEventListener('open', this._onOpen)
+  }
+
+  send(message) {
+    const data = JSON.stringify(message)
+    if (this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(data)
+    } else if (this.socket.readyState === WebSocket.CONNECTING) {
+      this._queue.push(data)
+    }
+  }
+
+  subscribe(callback) {
+    const listener = (e) => {
+      let message
+      try {
+        message = JSON.parse(e.data)
+      } catch (error) {
+        console.error('Invalid sync message:', error)
+        return
+      }
+      callback(message)
+    }
+    this.socket.addEventListener('message', listener)
+    return () => this.socket.removeEventListener('message', listener)
+  }
+
+  close() {
+    this.socket.removeEventListener('open', this._onOpen)
+    this._queue = []
+    this.socket.close()
+  }
+}
@@ -2,6 +2,11 @@
  * Geometry utility functions for map drawing operations
  */
 
+/**
+ * Earth radius of the sphere google.maps.Circle is drawn on (and google.maps.geometry.spherical uses)
+ */
+export const MAPS_EARTH_RADIUS = 6378137
+
 /**
  * Calculate distance between two points in pixels
  * @param {Object} p1 - First point {x, y}
@@ -18,10 +23,11 @@ export function distancePixels(p1, p2) {
  * Calculate distance between two LatLng points using Haversine formula
  * @param {Object} p1 - First point {lat, lng}
  * @param {Object} p2 - Second point {lat, lng}
+ * @param {number} [radius=6371000] - Earth's radius in meters
  * @returns {number} Distance in meters
  */
-export function distanceLatLng(p1, p2) {
-  const R = 6371000 // Earth's radius in meters
+export function distanceLatLng(p1, p2, radius = 6371000) {
+  const R = radius
   const lat1 = toRadians(p1.lat)
   const lat2 = toRadians(p2.lat)
   const deltaLat = toRadians(p2.lat - p1.lat)
@@ -54,6 +60,33 @@ export function toDegrees(radians) {
   return radians * (180 / Math.PI)
 }
 
+/**
+ * Convert a position to Web Mercator world coordinates, as google.maps.Projection does
+ * (0-256 on both axes at zoom 0; multiply by 2^zoom for pixels)
+ * @param {Object} point - {lat, lng}
+ * @returns {Object} {x, y}
+ */
+export function latLngToWorld(point) {
+  const sin = Math.min(Math.max(Math.sin(toRadians(point.lat)), -0.9999), 0.9999)
+  return {
+    x: 256 * (0.5 + point.lng / 360),
+    y: 256 * (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI))
+  }
+}
+
+/**
+ * Convert Web Mercator world coordinates back to a position
+ * @param {Object} world - {x, y}
+ * @returns {Object} {lat, lng}
+ */
+export function worldToLatLng(world) {
+  const n = Math.PI * (1 - 2 * world.y / 256)
+  return {
+    lat: toDegrees(Math.atan(Math.sinh(n))),
+    lng: (world.x / 256 - 0.5) * 360
+  }
+}
+
 /**
  * Project a point onto a line segment
  * @param {Object} point - Point to project {x, y}
@@ -94,6 +127,38 @@ export function projectPointToLine(point, lineStart, lineEnd) {
   }
 }
 
+/**
+ * Rotate a point around an origin
+ * @param {Object} point - Point {x, y}
+ * @param {Object} origin - Rotation origin {x, y}
+ * @param {number} angle - Angle in radians
+ * @returns {Object} Rotated point {x, y}
+ */
+export function rotatePoint(point, origin, angle) {
+  const cos = Math.cos(angle)
+  const sin = Math.sin(angle)
+  const dx = point.x - origin.x
+  const dy = point.y - origin.y
+  return {
+    x: origin.x + dx * cos - dy * sin,
+    y: origin.y + dx * sin + dy * cos
+  }
+}
+
+/**
+ * Scale a point relative to an origin
+ * @param {Object} point - Point {x, y}
+ * @param {Object} origin - Scale origin {x, y}
+ * @param {number} factor - Scale factor
+ * @returns {Object} Scaled point {x, y}
+ */
+export function scalePoint(point, origin, factor) {
+  return {
+    x: origin.x + (point.x - origin.x) * factor,
+    y: origin.y + (point.y - origin.y) * factor
+  }
+}
+
 /**
  * Project a LatLng point onto a LatLng line segment
  * @param {Object} point - Point to project {lat, lng}
@@ -129,13 +194,57 @@ export function projectLatLngToLine(point, lineStart, lineEnd, map) {
   }
 }
 
+/**
+ * Simplify a path using the Douglas-Peucker algorithm
+ * @param {Array<Object>} points - Points to simplify
+ * @param {number} tolerance - Maximum allowed deviation, in the units returned by toXY
+ * @param {Function} [toXY] - Maps a point to planar coordinates {x, y}
+ * @returns {Array<Object>} Subset of the original points
+ */
+export function simplifyPath(points, tolerance, toXY = (p) => p) {
+  if (points.length <= 2) return [...points]
+
+  const xy = points.map(toXY)
+  const keep = new Array(points.length).fill(false)
+  keep[0] = true
+  keep[points.length - 1] = true
+
+  // Iterative to avoid deep recursion on long freehand sketches
+  const stack = [[0, points.length - 1]]
+  while (stack.length > 0) {
+    const [first, last] = stack.pop()
+    let maxDistance = 0
+    let index = -1
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = projectPointToLine(xy[i], xy[first], xy[last]).distance
+      if (distance > maxDistance) {
+        maxDistance = distance
+        index = i
+      }
+    }
+
+    if (index !== -1 && maxDistance > tolerance) {
+      keep[index] = true
+      stack.push([first, index], [index, last])
+    }
+  }
+
+  return points.filter((_, i) => keep[i])
+}
+
 /**
  * Calculate the area of a polygon using Shoelace formula
  * @param {Array<Object>} coordinates - Array of {lat, lng} points
+ * @param {Array<Array<Object>>} [holes=[]] - Interior rings to subtract
  * @returns {number} Area in square meters
  */
-export function calculatePolygonArea(coordinates) {
+export function calculatePolygonArea(coordinates, holes = []) {
   if (coordinates.length < 3) return 0
+  if (holes.length > 0) {
+    const holeArea = holes.reduce((sum, hole) => sum + calculatePolygonArea(hole), 0)
+    return Math.max(0, calculatePolygonArea(coordinates) - holeArea)
+  }
 
   // Use spherical excess formula for accurate geodesic area
   const R = 6371000 // Earth's radius in meters
@@ -153,6 +262,65 @@ export function calculatePolygonArea(coordinates) {
   return Math.abs(total * R * R / 2)
 }
 
+/**
+ * Check whether a ring winds clockwise (lng as x, lat as y)
+ * @param {Array<Object>} coordinates - Array of {lat, lng} points
+ * @returns {boolean}
+ */
+export function isClockwise(coordinates) {
+  let sum = 0
+  for (let i = 0; i < coordinates.length; i++) {
+    const j = (i + 1) % coordinates.length
+    sum += (coordinates[j].lng - coordinates[i].lng) * (coordinates[j].lat + coordinates[i].lat)
+  }
+  return sum > 0
+}
+
+/**
+ * Calculate the destination point from a start point, distance and heading
+ * @param {Object} from - Start point {lat, lng}
+ * @param {number} distance - Distance in meters
+ * @param {number} heading - Heading in degrees clockwise from north
+ * @param {number} [radius=6371000] - Earth's radius in meters
+ * @returns {Object} Destination {lat, lng}
+ */
+export function computeOffset(from, distance, heading, radius = 6371000) {
+  const delta = distance / radius
+  const theta = toRadians(heading)
+  const lat1 = toRadians(from.lat)
+  const lng1 = toRadians(from.lng)
+
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(delta) +
+    Math.cos(lat1) * Math.sin(delta) * Math.cos(theta)
+  )
+  const lng2 = lng1 + Math.atan2(
+    Math.sin(theta) * Math.sin(delta) * Math.cos(lat1),
+    Math.cos(delta) - Math.sin(lat1) * Math.sin(lat2)
+  )
+
+  return { lat: toDegrees(lat2), lng: toDegrees(lng2) }
+}
+
+/**
+ * Calculate the initial heading of the great circle path from one point to another
+ * @param {Object} from - Start point {lat, lng}
+ * @param {Object} to - End point {lat, lng}
+ * @returns {number} Heading in degrees clockwise from north, in [0, 360)
+ */
+export function computeHeading(from, to) {
+  const lat1 = toRadians(from.lat)
+  const lat2 = toRadians(to.lat)
+  const deltaLng = toRadians(to.lng - from.lng)
+
+  const heading = toDegrees(Math.atan2(
+    Math.sin(deltaLng) * Math.cos(lat2),
+    Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(deltaLng)
+  ))
+
+  return (heading + 360) % 360
+}
+
 /**
  * Calculate the perimeter of a polygon
  * @param {Array<Object>} coordinates - Array of {lat, lng} points
@@ -0,0 +1,124 @@
+/**
+ * Click drawing - the mouse events of a drawing session turn into the right vertices
+ */
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createMap, draw, fire } from './helpers/google-maps.js'
+import { DrawingManager } from '../src/core/DrawingManager.js'
+
+const PX = 360 / 256 / Math.pow(2, 18) // Degrees of longitude per pixel at the stub's zoom
+
+function click(map, point) {
+  fire(map, 'mousemove', point)
+  fire(map, 'click', point)
+}
+
+test('double-clicking within snapping range adds the snapped point once', () => {
+  const map = createMap()
+  const manager = new DrawingManager(map)
+  draw(manager, 'polyline', [{ lat: 0.001, lng: 0 }, { lat: 0.001, lng: 0.002 }])
+
+  manager.startDrawing('polygon')
+  click(map, { lat: 0, lng: 0 })
+  click(map, { lat: 0, lng: 0.001 })
+  // 8 px off the polyline, well within the edge threshold but not on the snapped point
+  const cursor = { lat: 0.001 + 8 * PX, lng: 0.0016 }
+  click(map, cursor)
+  fire(map, 'click', cursor)
+  fire(map, 'dblclick', cursor)
+
+  const polygon = manager.getShapes().find(shape => shape.type === 'polygon')
+  assert.equal(polygon.path.length, 3)
+  // The stored vertex is the snapped one, on the polyline
+  assert.ok(Math.abs(polygon.path[2].lat - 0.001) < 1e-9)
+})
+
+test('finishing a resumed polyline without new points records nothing', () => {
+  const manager = new DrawingManager(createMap())
+  const line = draw(manager, 'polyline', [{ lat: 1, lng: 1 }, { lat: 1.001, lng: 1.002 }])
+  manager.moveVertex(line.id, 1, { lat: 1.002, lng: 1.002 })
+  manager.undo()
+  const entries = manager.getHistoryEntries()
+  let completed = 0
+  manager.on('drawing:complete', () => completed++)
+
+  for (const from of ['end', 'start']) {
+    manager.resumeDrawing(line.id, from)
+    manager.completeDrawing()
+    assert.equal(manager.isDrawing, false)
+  }
+
+  assert.equal(completed, 0)
+  assert.deepEqual(manager.getHistoryEntries(), entries)
+  assert.equal(manager.canRedo, true)
+  assert.deepEqual(manager.getShapeById(line.id).path, line.path)
+
+  // Adding a point still extends the line
+  manager.resumeDrawing(line.id)
+  click(manager.map, { lat: 1.003, lng: 1.003 })
+  manager.completeDrawing()
+  assert.equal(completed, 1)
+  assert.equal(manager.getShapeById(line.id).path.length, 3)
+})
+
+function sketch(map, points) {
+  fire(map, 'mousedown', points[0])
+  points.slice(1).forEach(point => fire(map, 'mousemove', point))
+  fire(map, 'mouseup', points[points.length - 1])
+}
+
+test('a freehand lasso ending near its start leaves no sliver edge', () => {
+  const map = createMap()
+  const manager = new DrawingManager(map)
+  const center = { lat: 0.01, lng: 0.01 }
+  const at = (angle, radius = 100) => ({ lat: center.lat + Math.sin(angle) * radius * PX, lng: center.lng + Math.cos(angle) * radius * PX })
+  const loop = Array.from({ length: 40 }, (_, k) => at(k * Math.PI / 20))
+  loop.push(at(2 * Math.PI - 0.02)) // 2 px short of the start
+
+  manager.startDrawing('freehand')
+  sketch(map, loop)
+
+  const { path } = manager.getShapes()[0]
+  const first = manager._toPixel(path[0])
+  const last = manager._toPixel(path[path.length - 1])
+  assert.ok(Math.hypot(first.x - last.x, first.y - last.y) > 3)
+})
+
+test('a freehand lasso whose ends snap to the same vertex keeps it once', () => {
+  const map = createMap()
+  const manager = new DrawingManager(map)
+  const v = { lat: 0.02, lng: 0.02 }
+  draw(manager, 'polygon', [v, { lat: 0.02, lng: 0.021 }, { lat: 0.021, lng: 0.021 }])
+
+  manager.startDrawing('freehand')
+  sketch(map, [
+    { lat: v.lat, lng: v.lng - 6 * PX },
+    { lat: v.lat - 100 * PX, lng: v.lng - 6 * PX },
+    { lat: v.lat - 100 * PX, lng: v.lng + 100 * PX },
+    { lat: v.lat, lng: v.lng + 6 * PX }
+  ])
+
+  const { path } = manager.getShapes()[1]
+  assert.equal(path.length, 3)
+  assert.deepEqual(path[0], v)
+})
+
+test('the angle constraint follows the Shift state of mouse events', () => {
+  const map = createMap()
+  const manager = new DrawingManager(map)
+  const point = { lat: 10 * PX, lng: 100 * PX } // About 6° off horizontal
+
+  manager.startDrawing('polyline')
+  click(map, { lat: 0, lng: 0 })
+  fire(map, 'mousemove', point, { shiftKey: true })
+  fire(map, 'click', point)
+  assert.ok(Math.abs(manager.drawingPath[1].lat) < 1e-9)
+
+  // Shift released while the window had no focus: the document never saw the keyup
+  manager._modifierHandler({ shiftKey: true })
+  const next = { lat: 30 * PX, lng: 200 * PX }
+  fire(map, 'mousemove', next, { shiftKey: false })
+  fire(map, 'click', next)
+  assert.deepEqual(manager.drawingPath[2], next)
+  assert.equal(manager._shiftKey, false)
+})
@@ -0,0 +1,175 @@
+/**
+ * Minimal Google Maps stubs for running DrawingManager and SyncSession under node:test.
+ * Overlays keep their geometry in memory and never render
+ */
+import { latLngToWorld, worldToLatLng } from '../../src/utils/geometry.js'
+
+function addListener(listeners, event, fn) {
+  (listeners[event] ??= []).push(fn)
+  return { remove: () => { listeners[event] = listeners[event].filter(other => other !== fn) } }
+}
+
+class LatLng {
+  constructor(lat, lng) {
+    if (typeof lat === 'object') ({ lat, lng } = lat)
+    this._lat = lat
+    this._lng = lng
+  }
+  lat() { return this._lat }
+  lng() { return this._lng }
+}
+
+class Point {
+  constructor(x, y) { this.x = x; this.y = y }
+}
+
+class Size {
+  constructor(width, height) { this.width = width; this.height = height }
+}
+
+class MVCArray {
+  constructor(items = []) {
+    this._items = items.map(item => (item instanceof LatLng || item instanceof MVCArray) ? item : new LatLng(item))
+  }
+  getArray() { return this._items }
+  getLength() { return this._items.length }
+  getAt(i) { return this._items[i] }
+  setAt(i, item) { this._items[i] = item }
+  insertAt(i, item) { this._items.splice(i, 0, item) }
+  removeAt(i) { this._items.splice(i, 1) }
+  forEach(fn) { this._items.forEach(fn) }
+}
+
+class Overlay {
+  constructor(options = {}) {
+    this.options = { ...options }
+    this.listeners = {}
+  }
+  setOptions(options) { Object.assign(this.options, options) }
+  setMap(map) { this.options.map = map }
+  getMap() { return this.options.map }
+  setVisible(visible) { this.options.visible = visible }
+  setIcon(icon) { this.options.icon = icon }
+  setLabel(label) { this.options.label = label }
+  setZIndex(zIndex) { this.options.zIndex = zIndex }
+  setDraggable(draggable) { this.options.draggable = draggable }
+  addListener(event, fn) {
+    return addListener(this.listeners, event, fn)
+  }
+}
+
+class Polygon extends Overlay {
+  constructor(options) { super(options); this.setPaths(options.paths || [options.path]) }
+  setPaths(paths) { this._paths = new MVCArray(paths.map(ring => new MVCArray(ring))) }
+  getPaths() { return this._paths }
+  getPath() { return this._paths.getAt(0) }
+}
+
+class Polyline extends Overlay {
+  constructor(options) { super(options); this.setPath(options.path || []) }
+  setPath(path) { this._path = new MVCArray(path) }
+  getPath() { return this._path }
+}
+
+class Circle extends Overlay {
+  constructor(options) { super(options); this.setCenter(options.center); this._radius = options.radius }
+  setCenter(center) { this._center = center && new LatLng(center) }
+  getCenter() { return this._center }
+  setRadius(radius) { this._radius = radius }
+  getRadius() { return this._radius }
+}
+
+class LatLngBounds {
+  constructor({ north, south, east, west }) { this._ne = new LatLng(north, east); this._sw = new LatLng(south, west) }
+  getNorthEast() { return this._ne }
+  getSouthWest() { return this._sw }
+}
+
+class Rectangle extends Overlay {
+  constructor(options) { super(options); this.setBounds(options.bounds) }
+  setBounds(bounds) { this._bounds = bounds && new LatLngBounds(bounds) }
+  getBounds() { return this._bounds }
+}
+
+class Marker extends Overlay {
+  constructor(options) { super(options); this.setPosition(options.position) }
+  setPosition(position) { this._position = position && (position instanceof LatLng ? position : new LatLng(position)) }
+  getPosition() { return this._position }
+}
+
+globalThis.google = {
+  maps: {
+    LatLng,
+    Point,
+    Size,
+    MVCArray,
+    Polygon,
+    Polyline,
+    Circle,
+    Rectangle,
+    Marker,
+    SymbolPath: { CIRCLE: 0 },
+    event: {
+      removeListener: (listener) => listener?.remove(),
+      trigger: (target, event, ...args) => (target.listeners[event] || []).forEach(fn => fn(...args))
+    }
+  }
+}
+globalThis.document ??= { addEventListener() {}, removeEventListener() {} }
+
+const projection = {
+  fromLatLngToPoint: (latLng) => {
+    const world = latLngToWorld({ lat: latLng.lat(), lng: latLng.lng() })
+    return new Point(world.x, world.y)
+  },
+  fromPointToLatLng: (point) => {
+    const { lat, lng } = worldToLatLng(point)
+    return new LatLng(lat, lng)
+  }
+}
+
+/**
+ * Create a map stub
+ * @returns {Object}
+ */
+export function createMap() {
+  const options = {}
+  const listeners = {}
+  return {
+    listeners,
+    getProjection: () => projection,
+    getZoom: () => 18,
+    getCenter: () => new LatLng(0, 0),
+    getBounds: () => null,
+    getDiv: () => ({ addEventListener() {}, removeEventListener() {} }),
+    get: (key) => options[key],
+    setOptions: (next) => Object.assign(options, next),
+    addListener: (event, fn) => addListener(listeners, event, fn)
+  }
+}
+
+/**
+ * Fire a mouse event on a map or overlay stub
+ * @param {Object} target - Map or overlay stub
+ * @param {string} event - e.g. 'click' or 'mousemove'
+ * @param {Object} point - Position {lat, lng}
+ * @param {Object} [domEvent] - Fields of the DOM event, e.g. {shiftKey: true}
+ */
+export function fire(target, event, point, domEvent = {}) {
+  google.maps.event.trigger(target, event, { latLng: new LatLng(point), domEvent })
+}
+
+/**
+ * Draw a shape through the manager's drawing API, as a click-drawn shape would be
+ * @param {DrawingManager} manager
+ * @param {string} type - 'polygon', 'polyline', 'circle', 'rectangle' or 'marker'
+ * @param {Array<Object>} points - Clicked points {lat, lng}
+ * @returns {Object} The created shape
+ */
+export function draw(manager, type, points) {
+  manager.startDrawing(type)
+  manager.drawingPath = [...points]
+  manager.completeDrawing()
+  const shapes = manager.getShapes()
+  return shapes[shapes.length - 1]
+}
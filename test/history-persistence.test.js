@@ -0,0 +1,103 @@
+/**
+ * exportHistory / importHistory - a session survives a JSON round trip with undo still working
+ */
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createMap, draw } from './helpers/google-maps.js'
+import { DrawingManager } from '../src/core/DrawingManager.js'
+
+const SQUARE = [{ lat: 0, lng: 0 }, { lat: 0, lng: 0.001 }, { lat: 0.001, lng: 0.001 }, { lat: 0.001, lng: 0 }]
+const LINE = [{ lat: 1, lng: 1 }, { lat: 1.001, lng: 1.002 }]
+
+function shapesById(manager) {
+  return Object.fromEntries(manager.getShapes().map(shape => [shape.id, shape]))
+}
+
+function editSession() {
+  const manager = new DrawingManager(createMap())
+  const polygon = draw(manager, 'polygon', SQUARE)
+  const line = draw(manager, 'polyline', LINE)
+  const circle = draw(manager, 'circle', [{ lat: 2, lng: 2 }, { lat: 2, lng: 2.001 }])
+  manager.moveVertex(polygon.id, 0, { lat: -0.0005, lng: 0 })
+  manager.updateShapeName(polygon.id, 'Parcel 12')
+  manager.setShapeStyle(polygon.id, { fillColor: '#ff0000' })
+  manager.deleteShape(line.id)
+  manager.setShapeGeometry(circle.id, { center: { lat: 2, lng: 2 }, radius: 250 })
+  manager.undo() // The radius change stays redoable
+  return manager
+}
+
+function roundTrip(manager) {
+  const restored = new DrawingManager(createMap())
+  assert.equal(restored.importHistory(JSON.parse(JSON.stringify(manager.exportHistory()))), true)
+  return restored
+}
+
+test('import restores shapes, entries and the current index', () => {
+  const original = editSession()
+  const restored = roundTrip(original)
+
+  assert.deepEqual(shapesById(restored), shapesById(original))
+  assert.deepEqual(
+    restored.getHistoryEntries().map(({ type, label, shapeIds, applied }) => ({ type, label, shapeIds, applied })),
+    original.getHistoryEntries().map(({ type, label, shapeIds, applied }) => ({ type, label, shapeIds, applied }))
+  )
+  assert.equal(restored.history.currentIndex, original.history.currentIndex)
+  assert.equal(restored.canRedo, true)
+})
+
+test('undo and redo after import match the original session', () => {
+  const original = editSession()
+  const restored = roundTrip(original)
+
+  original.redo()
+  restored.redo()
+  assert.deepEqual(shapesById(restored), shapesById(original))
+  assert.equal(Object.values(shapesById(restored)).find(shape => shape.type === 'circle').radius, 250)
+
+  for (let i = 0; i < 5; i++) {
+    original.undo()
+    restored.undo()
+    assert.deepEqual(shapesById(restored), shapesById(original))
+  }
+  // Back before the edits: the line exists again and the polygon has its original name and path
+  const polygon = Object.values(shapesById(restored)).find(shape => shape.type === 'polygon')
+  assert.equal(polygon.name, 'Shape 1')
+  assert.deepEqual(polygon.path, SQUARE)
+  assert.equal(restored.getShapes().length, 3)
+
+  restored.goToHistory(-1)
+  assert.equal(restored.getShapes().length, 0)
+  restored.goToHistory(restored.getHistoryEntries().length - 1)
+  original.goToHistory(original.getHistoryEntries().length - 1)
+  assert.deepEqual(shapesById(restored), shapesById(original))
+})
+
+test('shapes drawn after import get new ids', () => {
+  const restored = roundTrip(editSession())
+  const existing = new Set(restored.getShapes().map(shape => shape.id))
+  const added = draw(restored, 'marker', [{ lat: 3, lng: 3 }])
+
+  assert.equal(existing.has(added.id), false)
+  assert.equal(existing.size, 2)
+})
+
+test('invalid logs are rejected without touching the current session', () => {
+  const manager = editSession()
+  const log = manager.exportHistory()
+  const before = shapesById(manager)
+  const entries = manager.getHistoryEntries()
+
+  const invalid = [
+    null,
+    { ...log, version: 2 },
+    { ...log, entries: undefined },
+    { ...log, entries: [{ type: 'create' }] },
+    { ...log, currentIndex: log.entries.length },
+    { ...log, entries: [{ type: 'create', operations: [{ shapeId: 'a', before: null, after: { id: 'a', type: 'polygon', path: [{ lat: 0 }] } }] }] }
+  ]
+  invalid.forEach(bad => assert.equal(manager.importHistory(bad), false))
+
+  assert.deepEqual(shapesById(manager), before)
+  assert.deepEqual(manager.getHistoryEntries(), entries)
+})
@@ -0,0 +1,102 @@
+/**
+ * SpatialIndex - search must match a brute-force scan through inserts, removals and rebuilds
+ */
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { SpatialIndex } from '../src/snapping/SpatialIndex.js'
+
+// Deterministic random numbers, so a failure can be replayed
+function random(seed) {
+  return () => {
+    seed = (seed * 1664525 + 1013904223) >>> 0
+    return seed / 4294967296
+  }
+}
+
+function randomBox(rand, size = 20) {
+  const x = rand() * 1000
+  const y = rand() * 1000
+  return { minX: x, minY: y, maxX: x + rand() * size, maxY: y + rand() * size }
+}
+
+function bruteForce(model, box) {
+  const result = []
+  for (const items of model.values()) {
+    for (const item of items) {
+      if (item.minX <= box.maxX && item.maxX >= box.minX && item.minY <= box.maxY && item.maxY >= box.minY) result.push(item)
+    }
+  }
+  return result
+}
+
+function assertSameItems(actual, expected) {
+  const ids = (items) => items.map(item => item.id).sort()
+  assert.deepEqual(ids(actual), ids(expected))
+}
+
+test('search matches a brute-force scan after random inserts and removals', () => {
+  const rand = random(42)
+  const index = new SpatialIndex({ nodeSize: 4 })
+  const model = new Map()
+  let nextId = 0
+
+  for (let step = 0; step < 3000; step++) {
+    const key = `key_${Math.floor(rand() * 300)}`
+    const action = rand()
+
+    if (action < 0.6) {
+      const items = Array.from({ length: 1 + Math.floor(rand() * 6) }, () => ({ ...randomBox(rand), id: nextId++ }))
+      index.insert(key, items)
+      model.set(key, items)
+    } else if (action < 0.8) {
+      index.remove(key)
+      model.delete(key)
+    } else {
+      const box = randomBox(rand, 200)
+      assertSameItems(index.search(box), bruteForce(model, box))
+    }
+  }
+
+  assert.equal(index.size, [...model.values()].reduce((n, items) => n + items.length, 0))
+  const all = { minX: -Infinity, minY: -Infinity, maxX: Infinity, maxY: Infinity }
+  assertSameItems(index.search(all), bruteForce(model, all))
+})
+
+test('pending and stale keys are resolved by a rebuild', () => {
+  const rand = random(7)
+  const index = new SpatialIndex({ nodeSize: 8 })
+  const model = new Map()
+
+  // Enough items to force a packed tree on the first search
+  for (let i = 0; i < 400; i++) {
+    const items = [{ ...randomBox(rand), id: `a${i}` }, { ...randomBox(rand), id: `b${i}` }]
+    index.insert(i, items)
+    model.set(i, items)
+  }
+  const box = { minX: 200, minY: 200, maxX: 700, maxY: 700 }
+  assertSameItems(index.search(box), bruteForce(model, box))
+  assert.equal(index._pending.size, 0)
+
+  // A few updates stay pending or masked as stale without a rebuild
+  for (let i = 0; i < 10; i++) {
+    const items = [{ ...randomBox(rand), id: `c${i}` }]
+    index.insert(i, items)
+    model.set(i, items)
+    index.remove(100 + i)
+    model.delete(100 + i)
+  }
+  assertSameItems(index.search(box), bruteForce(model, box))
+  assert.ok(index._pending.size > 0 && index._stale.size > 0)
+
+  // Many removals trigger a rebuild that drops them from the tree
+  for (let i = 200; i < 400; i++) {
+    index.remove(i)
+    model.delete(i)
+  }
+  assertSameItems(index.search(box), bruteForce(model, box))
+  assert.equal(index._stale.size, 0)
+
+  index.clear()
+  assert.deepEqual(index.search(box), [])
+  assert.equal(index.size, 0)
+})
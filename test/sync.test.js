@@ -0,0 +1,182 @@
+/**
+ * SyncSession - peers converge on the same shapes and each user only undoes their own changes
+ */
+import { test, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { createMap, draw } from './helpers/google-maps.js'
+import { DrawingManager } from '../src/core/DrawingManager.js'
+import { SyncSession, InMemoryHub } from '../src/sync/index.js'
+
+const SQUARE = [{ lat: 0, lng: 0 }, { lat: 0, lng: 0.001 }, { lat: 0.001, lng: 0.001 }, { lat: 0.001, lng: 0 }]
+const MOVED = { lat: -0.0005, lng: 0 }
+
+const sessions = []
+afterEach(() => sessions.splice(0).forEach(session => session.destroy()))
+
+function join(hub, userId, manager = new DrawingManager(createMap())) {
+  const session = new SyncSession(manager, { transport: hub.createTransport(), userId, cursors: false, selections: false })
+  sessions.push(session)
+  hub.flush()
+  return manager
+}
+
+function shapesById(manager) {
+  return Object.fromEntries(manager.getShapes().map(shape => [shape.id, shape]))
+}
+
+function assertConverged(...managers) {
+  managers.slice(1).forEach(manager => assert.deepEqual(shapesById(manager), shapesById(managers[0])))
+}
+
+test('edits reach every peer and late joiners', () => {
+  const hub = new InMemoryHub()
+  const alice = join(hub, 'alice')
+  const bob = join(hub, 'bob')
+  const polygon = draw(alice, 'polygon', SQUARE)
+  bob.updateShapeName(polygon.id, 'Parcel 12')
+  alice.setShapeSnappable(polygon.id, false)
+
+  const carol = join(hub, 'carol')
+  assertConverged(alice, bob, carol)
+  assert.equal(carol.getShapeById(polygon.id).name, 'Parcel 12')
+  assert.equal(carol.getShapeById(polygon.id).snappable, false)
+})
+
+test('concurrent edits of the same field converge on one winner', () => {
+  const hub = new InMemoryHub({ queue: true })
+  const alice = join(hub, 'alice')
+  const bob = join(hub, 'bob')
+  const polygon = draw(alice, 'polygon', SQUARE)
+  hub.flush()
+
+  alice.updateShapeName(polygon.id, 'North')
+  bob.updateShapeName(polygon.id, 'South')
+  hub.flush()
+
+  assertConverged(alice, bob)
+  assert.equal(alice.getShapeById(polygon.id).name, 'South') // Same clock, the higher user id wins
+})
+
+test('concurrent edits of different fields are both kept', () => {
+  const hub = new InMemoryHub({ queue: true })
+  const alice = join(hub, 'alice')
+  const bob = join(hub, 'bob')
+  const polygon = draw(alice, 'polygon', SQUARE)
+  hub.flush()
+
+  alice.moveVertex(polygon.id, 0, MOVED)
+  bob.setShapeStyle(polygon.id, { fillColor: '#ff0000' })
+  hub.flush()
+
+  assertConverged(alice, bob)
+  assert.deepEqual(bob.getShapeById(polygon.id).path[0], MOVED)
+  assert.equal(alice.getShapeById(polygon.id).style.fillColor, '#ff0000')
+})
+
+test('a delete concurrent with an edit converges, and undoing it keeps the edit', () => {
+  const hub = new InMemoryHub({ queue: true })
+  const alice = join(hub, 'alice')
+  const bob = join(hub, 'bob')
+  const polygon = draw(alice, 'polygon', SQUARE)
+  hub.flush()
+
+  alice.deleteShape(polygon.id)
+  bob.updateShapeName(polygon.id, 'Parcel 12')
+  hub.flush()
+  assertConverged(alice, bob)
+  assert.equal(bob.getShapes().length, 0)
+
+  alice.undo()
+  hub.flush()
+  assertConverged(alice, bob)
+  assert.equal(bob.getShapeById(polygon.id).name, 'Parcel 12')
+})
+
+test('undo only reverts the fields this user changed', () => {
+  const hub = new InMemoryHub()
+  const alice = join(hub, 'alice')
+  const bob = join(hub, 'bob')
+  const polygon = draw(alice, 'polygon', SQUARE)
+
+  alice.updateShapeName(polygon.id, 'Parcel 12')
+  bob.moveVertex(polygon.id, 0, MOVED)
+  alice.undo()
+
+  assertConverged(alice, bob)
+  assert.equal(bob.getShapeById(polygon.id).name, 'Shape 1')
+  assert.deepEqual(bob.getShapeById(polygon.id).path[0], MOVED)
+
+  // A field changed again by someone else is left alone
+  alice.redo()
+  bob.updateShapeName(polygon.id, 'Parcel 13')
+  alice.undo()
+  assertConverged(alice, bob)
+  assert.equal(alice.getShapeById(polygon.id).name, 'Parcel 13')
+})
+
+test('undoing an edit of a shape deleted by someone else does nothing', () => {
+  const hub = new InMemoryHub()
+  const alice = join(hub, 'alice')
+  const bob = join(hub, 'bob')
+  const polygon = draw(alice, 'polygon', SQUARE)
+
+  bob.updateShapeName(polygon.id, 'Parcel 12')
+  alice.deleteShape(polygon.id)
+  bob.undo()
+
+  assertConverged(alice, bob)
+  assert.equal(bob.getShapes().length, 0)
+})
+
+test('shapes drawn before joining keep distinct ids', () => {
+  const hub = new InMemoryHub()
+  const aliceManager = new DrawingManager(createMap())
+  const bobManager = new DrawingManager(createMap())
+  const before = draw(aliceManager, 'polygon', SQUARE)
+  draw(bobManager, 'marker', [{ lat: 1, lng: 1 }])
+  assert.equal(before.id, bobManager.getShapes()[0].id)
+
+  const alice = join(hub, 'alice', aliceManager)
+  const bob = join(hub, 'bob', bobManager)
+
+  assertConverged(alice, bob)
+  assert.deepEqual(bob.getShapes().map(shape => shape.type).sort(), ['marker', 'polygon'])
+
+  // History follows the new ids
+  alice.undo()
+  assertConverged(alice, bob)
+  assert.deepEqual(bob.getShapes().map(shape => shape.type), ['marker'])
+})
+
+test('an imported history replaces the shapes of every peer', () => {
+  const hub = new InMemoryHub()
+  const alice = join(hub, 'alice')
+  const bob = join(hub, 'bob')
+  draw(bob, 'marker', [{ lat: 1, lng: 1 }])
+
+  const other = new DrawingManager(createMap())
+  draw(other, 'polygon', SQUARE)
+  draw(other, 'polyline', [{ lat: 1, lng: 1 }, { lat: 1.001, lng: 1.002 }])
+  assert.equal(alice.importHistory(other.exportHistory()), true)
+
+  assertConverged(alice, bob)
+  assert.deepEqual(bob.getShapes().map(shape => shape.type), ['polygon', 'polyline'])
+})
+
+test('a remote change cancels a local drag of the same shape', () => {
+  const hub = new InMemoryHub()
+  const alice = join(hub, 'alice')
+  const bob = join(hub, 'bob')
+  const marker = draw(alice, 'marker', [{ lat: 1, lng: 1 }])
+  const entries = bob.getHistoryEntries().length
+  const object = bob.shapes.get(marker.id).obj
+
+  object.listeners.dragstart.forEach(fn => fn())
+  alice.setShapeGeometry(marker.id, { position: { lat: 2, lng: 2 } })
+  object.setPosition({ lat: 3, lng: 3 })
+  object.listeners.dragend.forEach(fn => fn())
+
+  assertConverged(alice, bob)
+  assert.deepEqual(bob.getShapeById(marker.id).position, { lat: 2, lng: 2 })
+  assert.equal(bob.getHistoryEntries().length, entries)
+})
@@ -0,0 +1,53 @@
+/**
+ * Vertex editing API - invalid input is rejected before it reaches the shape or the history
+ */
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createMap, draw } from './helpers/google-maps.js'
+import { DrawingManager } from '../src/core/DrawingManager.js'
+
+const SQUARE = [{ lat: 0, lng: 0 }, { lat: 0, lng: 0.001 }, { lat: 0.001, lng: 0.001 }, { lat: 0.001, lng: 0 }]
+
+function setup() {
+  const manager = new DrawingManager(createMap())
+  const polygon = draw(manager, 'polygon', SQUARE)
+  const circle = draw(manager, 'circle', [{ lat: 2, lng: 2 }, { lat: 2, lng: 2.001 }])
+  return { manager, polygon, circle }
+}
+
+test('missing or non-finite coordinates are rejected', () => {
+  const { manager, polygon } = setup()
+  const entries = manager.getHistoryEntries().length
+
+  assert.equal(manager.moveVertex(polygon.id, 0, { lat: NaN, lng: 0 }), false)
+  assert.equal(manager.moveVertex(polygon.id, 0, { lat: 0, lng: Infinity }), false)
+  assert.equal(manager.moveVertex(polygon.id, 0, null), false)
+  assert.equal(manager.insertVertex(polygon.id, 1, {}), false)
+  assert.equal(manager.insertVertex(polygon.id, 1, undefined), false)
+
+  assert.deepEqual(manager.getShapeById(polygon.id), polygon)
+  assert.equal(manager.getHistoryEntries().length, entries)
+  assert.ok(Number.isFinite(manager.getShapeById(polygon.id).area))
+})
+
+test('valid coordinates are still applied', () => {
+  const { manager, polygon } = setup()
+
+  assert.equal(manager.moveVertex(polygon.id, 0, { lat: -0.0005, lng: 0 }), true)
+  assert.equal(manager.insertVertex(polygon.id, 1, { lat: -0.0005, lng: 0.0005 }), true)
+  assert.deepEqual(manager.getShapeById(polygon.id).path.slice(0, 2), [{ lat: -0.0005, lng: 0 }, { lat: -0.0005, lng: 0.0005 }])
+})
+
+test('setShapeGeometry rejects keys of another shape type', () => {
+  const { manager, polygon, circle } = setup()
+  const entries = manager.getHistoryEntries().length
+
+  assert.equal(manager.setShapeGeometry(circle.id, { path: SQUARE }), false)
+  assert.equal(manager.setShapeGeometry(circle.id, { radius: 50, path: SQUARE }), false)
+  assert.equal(manager.setShapeGeometry(polygon.id, { center: { lat: 0, lng: 0 } }), false)
+  assert.equal(manager.setShapeGeometry(polygon.id, {}), false)
+  assert.equal(manager.getHistoryEntries().length, entries)
+
+  assert.equal(manager.setShapeGeometry(circle.id, { radius: 50 }), true)
+  assert.equal(manager.getShapeById(circle.id).radius, 50)
+})